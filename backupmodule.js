@@ -0,0 +1,194 @@
+// Full backups of the song database, setlist library and settings.
+//
+// Backup file format (version 1), a single JSON object:
+// {
+//   "format": "setlistgo-backup",   always this string
+//   "version": 1,                   bumped only for incompatible changes
+//   "exportedAt": "2024-05-01T20:15:00.000Z",
+//   "songs": [{ "id", "name", "vibe", "duration", ...optional song fields }],
+//   "setlists": [{ "id", "name", "gig"?, "items": [{ "id", "type", ... }] }],
+//   "activeSetlistId": "...",
+//   "settings": { "defaultSongDuration", "defaultMidshowDuration", ... },
+//   "performances": [{ "id", "date", "venue", "items", ... }]
+// }
+// Song items reference their song by "songId", in setlists and in the
+// performance history alike. All durations are in seconds.
+// Fields added later are optional, so older backups of the same version
+// always restore; backups from before song ids are linked up by name.
+class AppBackup {
+  static get FORMAT() {
+    return "setlistgo-backup";
+  }
+
+  static get VERSION() {
+    return 1;
+  }
+
+  static create(songs, setlists, activeSetlistId, settings, performances = []) {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      songs: songs,
+      setlists: setlists,
+      activeSetlistId: activeSetlistId,
+      settings: settings,
+      performances: performances,
+    };
+  }
+
+  static fileName(date = new Date()) {
+    return `setlistgo-backup-${date.toISOString().slice(0, 10)}.json`;
+  }
+
+  // Read and validate a backup file, throwing a readable error if it is not one
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("This file is not valid JSON");
+    }
+
+    if (!data || data.format !== this.FORMAT) {
+      throw new Error("This file is not a SetListGo backup");
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error("This backup has no valid version number");
+    }
+    if (data.version > this.VERSION) {
+      throw new Error(
+        `This backup was made by a newer version of SetListGo (v${data.version})`
+      );
+    }
+    if (
+      !Array.isArray(data.songs) ||
+      !data.songs.every((song) => song && typeof song.name === "string")
+    ) {
+      throw new Error("The backup's song list is damaged");
+    }
+    if (
+      !Array.isArray(data.setlists) ||
+      !data.setlists.every(
+        (setlist) => setlist && setlist.id && Array.isArray(setlist.items)
+      )
+    ) {
+      throw new Error("The backup's setlists are damaged");
+    }
+
+    const { songs, setlists } = SetlistModel.assignIds(
+      data.songs,
+      data.setlists
+    );
+
+    return {
+      songs: songs,
+      setlists: setlists,
+      activeSetlistId: data.activeSetlistId,
+      settings: data.settings || {},
+      performances: Array.isArray(data.performances) ? data.performances : [],
+      exportedAt: data.exportedAt,
+    };
+  }
+
+  // Count what restoring a backup would change in the current data
+  static summarize(current, backup) {
+    const matches = backup.songs.map((song) =>
+      SongImporter.matchSong(song, current.songs)
+    );
+    const setlistIds = new Set(current.setlists.map((setlist) => setlist.id));
+    const backupSetlistIds = new Set(
+      backup.setlists.map((setlist) => setlist.id)
+    );
+    const performanceIds = new Set(
+      current.performances.map((performance) => performance.id)
+    );
+
+    return {
+      songs: {
+        total: backup.songs.length,
+        new: matches.filter((existing) => !existing).length,
+        changed: backup.songs.filter(
+          (song, index) =>
+            matches[index] &&
+            JSON.stringify(matches[index]) !== JSON.stringify(song)
+        ).length,
+        missing: current.songs.filter((song) => !matches.includes(song)).length,
+      },
+      setlists: {
+        total: backup.setlists.length,
+        new: backup.setlists.filter((setlist) => !setlistIds.has(setlist.id))
+          .length,
+        missing: current.setlists.filter(
+          (setlist) => !backupSetlistIds.has(setlist.id)
+        ).length,
+      },
+      performances: {
+        total: backup.performances.length,
+        new: backup.performances.filter(
+          (performance) => !performanceIds.has(performance.id)
+        ).length,
+      },
+    };
+  }
+
+  // mode: "replace" swaps everything for the backup's data; "merge" keeps
+  // current songs, setlists and settings and adds what only the backup has
+  static apply(current, backup, mode) {
+    if (mode === "replace") {
+      return {
+        songs: backup.songs.map((song) => ({ ...song })),
+        setlists: backup.setlists.map((setlist) => ({ ...setlist })),
+        activeSetlistId: backup.activeSetlistId,
+        settings: { ...current.settings, ...backup.settings },
+        performances: backup.performances.map((performance) => ({
+          ...performance,
+        })),
+      };
+    }
+
+    // Backup songs that match a current song are skipped, so relink the
+    // added setlists' items to the song they matched
+    const imported = SongImporter.applyImport(
+      current.songs,
+      backup.songs,
+      "skip"
+    );
+    const songIds = {};
+    backup.songs.forEach((song, index) => {
+      songIds[song.id] = imported.ids[index];
+    });
+    const setlistIds = new Set(current.setlists.map((setlist) => setlist.id));
+    const performanceIds = new Set(
+      current.performances.map((performance) => performance.id)
+    );
+
+    return {
+      songs: imported.songs,
+      setlists: [
+        ...current.setlists,
+        ...backup.setlists
+          .filter((setlist) => !setlistIds.has(setlist.id))
+          .map((setlist) => ({
+            ...setlist,
+            items: setlist.items.map((item) =>
+              item.songId && songIds[item.songId]
+                ? { ...item, songId: songIds[item.songId] }
+                : item
+            ),
+          })),
+      ],
+      activeSetlistId: current.activeSetlistId,
+      settings: { ...backup.settings, ...current.settings },
+      performances: [
+        ...current.performances,
+        ...PerformanceHistory.relink(
+          backup.performances.filter(
+            (performance) => !performanceIds.has(performance.id)
+          ),
+          songIds
+        ),
+      ],
+    };
+  }
+}
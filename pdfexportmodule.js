@@ -1,4 +1,111 @@
 class SetlistPDFExporter {
+  // Paper sizes in mm, portrait
+  static get pageSizes() {
+    return {
+      a4: { label: "A4", width: 210, height: 297 },
+      letter: { label: "Letter", width: 215.9, height: 279.4 },
+      a5: { label: "A5", width: 148, height: 210 },
+    };
+  }
+
+  // Stage sheet colors as RGB; background null leaves the paper white
+  static get themes() {
+    return {
+      light: { label: "Black on white", background: null, text: [0, 0, 0] },
+      dark: {
+        label: "Light on dark",
+        background: [24, 24, 27],
+        text: [235, 235, 235],
+      },
+      "high-contrast": {
+        label: "High contrast (yellow on black)",
+        background: [0, 0, 0],
+        text: [255, 221, 0],
+      },
+    };
+  }
+
+  // Export options as the app stores them; customWidth/customHeight (mm)
+  // apply when pageSize is "custom". copies "members" makes one PDF per band
+  // member, each exported with a member ({ id, name }) option whose notes it
+  // prints.
+  static get defaultOptions() {
+    return {
+      pageSize: "a4",
+      customWidth: 210,
+      customHeight: 297,
+      orientation: "portrait",
+      margin: 8,
+      theme: "light",
+      numbering: false,
+      notes: false,
+      durations: false,
+      stageSheet: true,
+      organizerSheet: true,
+      copies: "single",
+    };
+  }
+
+  // User abbreviations are edited as "word = abbreviation" lines
+  static parseAbbreviations(text) {
+    const abbreviations = {};
+    text.split(/\r?\n/).forEach((line) => {
+      const separator = line.indexOf("=");
+      if (separator === -1) return;
+      const word = line.slice(0, separator).trim();
+      const abbreviation = line.slice(separator + 1).trim();
+      if (word && abbreviation) abbreviations[word] = abbreviation;
+    });
+    return abbreviations;
+  }
+
+  static formatAbbreviations(abbreviations) {
+    return Object.entries(abbreviations || {})
+      .map(([word, abbreviation]) => `${word} = ${abbreviation}`)
+      .join("\n");
+  }
+
+  // Unicode TTF fonts embedded in the PDF so text prints exactly as typed.
+  // The first family covers Latin, Greek and Cyrillic; the CJK fallbacks are
+  // only downloaded when the exported text has characters in their range.
+  // Styles a family lacks are printed in its normal style. The files come
+  // from version-pinned packages so they can't change under an export.
+  static get fontSources() {
+    const cdn = "https://cdn.jsdelivr.net/npm/@expo-google-fonts";
+    return [
+      {
+        name: "NotoSans",
+        styles: {
+          normal: `${cdn}/noto-sans@0.4.2/400Regular/NotoSans_400Regular.ttf`,
+          bold: `${cdn}/noto-sans@0.4.2/700Bold/NotoSans_700Bold.ttf`,
+          italic: `${cdn}/noto-sans@0.4.2/400Regular_Italic/NotoSans_400Regular_Italic.ttf`,
+        },
+      },
+      {
+        name: "NanumGothic",
+        covers: /[\u1100-\u11ff\u3130-\u318f\ua960-\ua97f\uac00-\ud7af]/,
+        styles: {
+          normal: `${cdn}/nanum-gothic@0.4.0/400Regular/NanumGothic_400Regular.ttf`,
+          bold: `${cdn}/nanum-gothic@0.4.0/700Bold/NanumGothic_700Bold.ttf`,
+        },
+      },
+      {
+        name: "NotoSansSC",
+        covers: /[\u2e80-\u9fff\uff00-\uffef]/,
+        styles: {
+          normal: `${cdn}/noto-sans-sc@0.4.3/400Regular/NotoSansSC_400Regular.ttf`,
+          bold: `${cdn}/noto-sans-sc@0.4.3/700Bold/NotoSansSC_700Bold.ttf`,
+        },
+      },
+    ];
+  }
+
+  // Font downloads taking longer than this (ms) are given up on, so a
+  // stalled connection falls back to Helvetica instead of hanging
+  static get FONT_TIMEOUT() {
+    return 15000;
+  }
+
   constructor() {
     this.doc = null;
     this.pageWidth = 210; // A4 width in mm
@@ -7,6 +114,26 @@ class SetlistPDFExporter {
     this.contentWidth = this.pageWidth - this.margin * 2;
     this.contentHeight = this.pageHeight - this.margin * 2;
     this.PT_TO_MM = 0.3528; // Point to mm conversion (1pt = 0.3528mm)
+    this.gig = {}; // Gig details of the setlist being exported
+    this.durationDefaults = SetlistModel.defaultDurations;
+    this.vibes = []; // Configured vibes, for their display names
+    this.options = SetlistPDFExporter.defaultOptions;
+    this.fontData = {}; // Base64 font files by URL, kept between exports
+    this.fonts = []; // Font families registered on the current document
+    this.fontStyle = "normal";
+    this.abbreviations = {}; // User abbreviations, tried before the built-ins
+    this.shortened = []; // Stage sheet titles shortened in the last build
+
+    // Song detail columns printed in the organizer table when any song has them
+    this.optionalColumns = [
+      { field: "key", label: "KEY", width: 10 },
+      { field: "bpm", label: "BPM", width: 10 },
+      { field: "tuning", label: "TUNING", width: 18 },
+      { field: "capo", label: "CAPO", width: 11 },
+      { field: "singer", label: "VOCALS", width: 20 },
+      { field: "instruments", label: "INSTR.", width: 24 },
+      { field: "tags", label: "TAGS", width: 22 },
+    ];
 
     // Initialize cognitive linguistics data for intelligent shortening
     this.initializeLinguisticData();
@@ -169,54 +296,11 @@ class SetlistPDFExporter {
       sc: "c",
       gn: "n",
     };
-
-    // Czech diacritic fallbacks for better PDF compatibility
-    this.czechFallbacks = {
-      á: "a",
-      č: "c",
-      ď: "d",
-      é: "e",
-      ě: "e",
-      í: "i",
-      ň: "n",
-      ó: "o",
-      ř: "r",
-      š: "s",
-      ť: "t",
-      ú: "u",
-      ů: "u",
-      ý: "y",
-      ž: "z",
-      Á: "A",
-      Č: "C",
-      Ď: "D",
-      É: "E",
-      Ě: "E",
-      Í: "I",
-      Ň: "N",
-      Ó: "O",
-      Ř: "R",
-      Š: "S",
-      Ť: "T",
-      Ú: "U",
-      Ů: "U",
-      Ý: "Y",
-      Ž: "Z",
-    };
   }
 
-  // Convert Czech characters to ASCII equivalents for PDF compatibility
-  convertCzechCharacters(text) {
-    let result = text;
-    for (const [czech, ascii] of Object.entries(this.czechFallbacks)) {
-      result = result.replace(new RegExp(czech, "g"), ascii);
-    }
-    return result;
-  }
-
-  // Format time from minutes to MM:SS
-  formatTime(minutes) {
-    const totalSeconds = Math.round(minutes * 60);
+  // Format time from seconds to MM:SS
+  formatTime(seconds) {
+    const totalSeconds = Math.round(seconds);
     const mins = Math.floor(totalSeconds / 60);
     const secs = totalSeconds % 60;
     return `${mins.toString().padStart(2, "0")}:${secs
@@ -224,36 +308,330 @@ class SetlistPDFExporter {
       .padStart(2, "0")}`;
   }
 
-  // Calculate total setlist duration
+  // Format minutes after midnight as an "HH:MM" clock time
+  formatClockTime(minutes) {
+    const totalMinutes = Math.round(minutes) % (24 * 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
+    return `${hours.toString().padStart(2, "0")}:${mins
+      .toString()
+      .padStart(2, "0")}`;
+  }
+
+  // Format an offset in seconds into the show, as a clock time when the
+  // start is known
+  formatShowTime(seconds) {
+    const start = SetlistModel.parseClockTime(this.gig.start);
+    return start === null
+      ? this.formatTime(seconds)
+      : this.formatClockTime(start + seconds / 60);
+  }
+
+  // Format the show date for display, falling back to the raw value
+  formatShowDate(date) {
+    const parsed = new Date(`${date}T00:00`);
+    return isNaN(parsed) ? date : parsed.toLocaleDateString();
+  }
+
+  // Display name of a vibe id, falling back to the id itself
+  vibeName(id) {
+    const vibe = this.vibes.find((v) => v.id === id);
+    return vibe ? vibe.name : id;
+  }
+
+  // Calculate total setlist duration in seconds, the same way the app does
   calculateTotalDuration(setlist) {
-    return setlist.reduce((total, item) => {
-      if (item.type === "midshow") {
-        return total + 1; // Midshow is always 1 minute
+    return SetlistModel.totalDuration(
+      setlist,
+      window.songs || [],
+      this.durationDefaults
+    );
+  }
+
+  // Page geometry from the export options
+  applyOptions(options) {
+    this.options = { ...SetlistPDFExporter.defaultOptions, ...options };
+
+    const size = SetlistPDFExporter.pageSizes[this.options.pageSize] || {
+      width: parseFloat(this.options.customWidth) || 210,
+      height: parseFloat(this.options.customHeight) || 297,
+    };
+    const landscape = this.options.orientation === "landscape";
+    this.pageWidth = landscape
+      ? Math.max(size.width, size.height)
+      : Math.min(size.width, size.height);
+    this.pageHeight = landscape
+      ? Math.min(size.width, size.height)
+      : Math.max(size.width, size.height);
+
+    const margin = parseFloat(this.options.margin);
+    this.margin = isNaN(margin) ? 8 : Math.min(Math.max(margin, 0), 40);
+    this.contentWidth = this.pageWidth - this.margin * 2;
+    this.contentHeight = this.pageHeight - this.margin * 2;
+  }
+
+  // Download a TTF file as base64 for jsPDF's virtual file system
+  fetchFont(url) {
+    if (!this.fontData[url]) {
+      const controller = new AbortController();
+      const timer = setTimeout(
+        () => controller.abort(),
+        SetlistPDFExporter.FONT_TIMEOUT
+      );
+      this.fontData[url] = fetch(url, { signal: controller.signal })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`Font download failed (${response.status})`);
+          }
+          return response.arrayBuffer();
+        })
+        .then((buffer) => {
+          const bytes = new Uint8Array(buffer);
+          let binary = "";
+          for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+          }
+          return btoa(binary);
+        })
+        .finally(() => clearTimeout(timer));
+      // Try again on the next export instead of caching the failure
+      this.fontData[url].catch(() => delete this.fontData[url]);
+    }
+    return this.fontData[url];
+  }
+
+  // Download the font families the exported text needs, as
+  // [{ family, files }]. Resolves to null when any of them can't be loaded,
+  // in which case text is printed in Helvetica with accents stripped.
+  async loadFonts(text) {
+    const loaded = [];
+
+    for (const family of SetlistPDFExporter.fontSources) {
+      if (family.covers && !family.covers.test(text)) continue;
+
+      try {
+        const files = await Promise.all(
+          Object.values(family.styles).map((url) => this.fetchFont(url))
+        );
+        loaded.push({ family, files });
+      } catch (error) {
+        console.warn(`Could not load the ${family.name} font:`, error);
+        return null;
+      }
+    }
+
+    return loaded;
+  }
+
+  // Add downloaded font families to the current document
+  registerFonts(loaded) {
+    this.fonts = [];
+
+    (loaded || []).forEach(({ family, files }) => {
+      Object.keys(family.styles).forEach((style, index) => {
+        const fileName = `${family.name}-${style}.ttf`;
+        this.doc.addFileToVFS(fileName, files[index]);
+        this.doc.addFont(fileName, family.name, style);
+      });
+      this.fonts.push(family);
+    });
+  }
+
+  // Select a font style ("normal", "bold" or "italic") for the text that
+  // follows
+  setFont(style) {
+    this.fontStyle = style;
+    this.useFont(this.fonts[0]);
+  }
+
+  // Switch family, keeping the style; null is the Helvetica fallback
+  useFont(family) {
+    if (!family) {
+      this.doc.setFont("helvetica", this.fontStyle);
+    } else {
+      this.doc.setFont(
+        family.name,
+        family.styles[this.fontStyle] ? this.fontStyle : "normal"
+      );
+    }
+  }
+
+  // "Dvořák" -> "Dvorak", for Helvetica and file names
+  stripAccents(text) {
+    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  }
+
+  // Whether text has Greek, Cyrillic or CJK characters, which Helvetica
+  // can't print at all
+  needsUnicodeFonts(text) {
+    return (
+      /[\u0370-\u052f\u1f00-\u1fff]/.test(text) ||
+      SetlistPDFExporter.fontSources.some(
+        (family) => family.covers && family.covers.test(text)
+      )
+    );
+  }
+
+  // Split text into runs printed in the same font family
+  textRuns(text) {
+    if (this.fonts.length === 0) {
+      return [{ text: this.stripAccents(text), family: null }];
+    }
+
+    const runs = [];
+    for (const char of text) {
+      const family =
+        this.fonts.find((f) => f.covers && f.covers.test(char)) ||
+        this.fonts[0];
+      const last = runs[runs.length - 1];
+      if (last && last.family === family) {
+        last.text += char;
       } else {
-        return total + (item.duration || 3); // Default song duration is 3 minutes
+        runs.push({ text: char, family });
       }
+    }
+    return runs;
+  }
+
+  // Width of text in the current font size and style, across font families
+  textWidth(text) {
+    const width = this.textRuns(text).reduce((total, run) => {
+      this.useFont(run.family);
+      return total + this.doc.getTextWidth(run.text);
     }, 0);
+    this.useFont(this.fonts[0]);
+    return width;
+  }
+
+  // Print text, switching font family for characters the main one lacks.
+  // options.align "right" puts the end of the text at x.
+  drawText(text, x, y, options = {}) {
+    let runX = options.align === "right" ? x - this.textWidth(text) : x;
+
+    this.textRuns(text).forEach((run) => {
+      this.useFont(run.family);
+      this.doc.text(run.text, runX, y);
+      runX += this.doc.getTextWidth(run.text);
+    });
+    this.useFont(this.fonts[0]);
   }
 
-  export(setlist, songs = null) {
-    if (setlist.length === 0) return;
+  // Resolves once the file is saved, with the same result as build()
+  async export(...args) {
+    const result = await this.build(...args);
+    if (result && result.doc) {
+      const options = args[5] || {};
+      result.doc.save(this.fileName(args[2] || {}, options.member));
+    }
+    return result;
+  }
+
+  // Lay out the PDF without saving it. Resolves to { doc, unicodeFonts,
+  // shortened }, or null when there is nothing to print. unicodeFonts is
+  // false when the fonts could not be downloaded and text was printed with
+  // accents stripped; shortened lists the stage sheet titles that were
+  // abbreviated to fit, as { songId, title, printed }. When the text needs
+  // fonts that couldn't be downloaded, doc is null and missingFonts is true
+  // rather than printing it garbled.
+  async build(
+    setlist,
+    songs = null,
+    gig = null,
+    durationDefaults = null,
+    vibes = null,
+    options = null
+  ) {
+    const sheets = { ...SetlistPDFExporter.defaultOptions, ...options };
+    if (
+      setlist.length === 0 ||
+      (!sheets.stageSheet && !sheets.organizerSheet)
+    ) {
+      return null;
+    }
+
+    // Fonts are downloaded before any state is set up, so a build started
+    // while another one waits can't mix up their documents
+    const text = JSON.stringify([
+      setlist,
+      setlist.map((item) =>
+        SetlistModel.findSong(songs || window.songs || [], item)
+      ),
+      gig,
+      vibes,
+      options && options.member,
+    ]);
+    const fonts = await this.loadFonts(text);
+    if (fonts === null && this.needsUnicodeFonts(text)) {
+      return {
+        doc: null,
+        missingFonts: true,
+        unicodeFonts: false,
+        shortened: [],
+      };
+    }
+
+    this.applyOptions(options || {});
+    const { stageSheet, organizerSheet } = this.options;
+    this.abbreviations = this.options.abbreviations || {};
+    this.shortened = [];
 
     const { jsPDF } = window.jspdf;
-    this.doc = new jsPDF();
+    this.doc = new jsPDF({
+      orientation: this.options.orientation,
+      unit: "mm",
+      format: [this.pageWidth, this.pageHeight],
+    });
+    this.gig = gig || {};
+    this.durationDefaults = durationDefaults || SetlistModel.defaultDurations;
+    this.vibes = vibes || [];
 
     // Store songs reference for organizer section
     if (songs) {
       window.songs = songs;
     }
 
+    this.registerFonts(fonts);
+
     // Add band setlist (existing functionality)
-    this.addSetlistContent(setlist);
+    if (stageSheet) {
+      this.paintStagePage();
+      this.addSetlistContent(setlist);
+    }
 
-    // Add page break and organizer section
-    this.doc.addPage();
-    this.addOrganizerSection(setlist);
+    // Add page break and organizer section, always black on white
+    if (organizerSheet) {
+      if (stageSheet) {
+        this.doc.addPage();
+      }
+      this.doc.setTextColor(0, 0, 0);
+      this.doc.setDrawColor(0, 0, 0);
+      this.addOrganizerSection(setlist);
+    }
+
+    return {
+      doc: this.doc,
+      unicodeFonts: fonts !== null,
+      shortened: this.shortened,
+    };
+  }
+
+  // Fill the current stage sheet page with the theme's colors
+  paintStagePage() {
+    const theme =
+      SetlistPDFExporter.themes[this.options.theme] ||
+      SetlistPDFExporter.themes.light;
 
-    this.save();
+    if (theme.background) {
+      this.doc.setFillColor(...theme.background);
+      this.doc.rect(0, 0, this.pageWidth, this.pageHeight, "F");
+    }
+    this.doc.setTextColor(...theme.text);
+    this.doc.setDrawColor(...theme.text);
+  }
+
+  addStagePage() {
+    this.doc.addPage();
+    this.paintStagePage();
   }
   // Add the formal organizer section
   addOrganizerSection(setlist) {
@@ -262,42 +640,46 @@ class SetlistPDFExporter {
     const sectionSpacing = 8 * this.PT_TO_MM;
 
     // Header
-    this.doc.setFont("helvetica", "bold");
+    this.setFont("bold");
     this.doc.setFontSize(18);
-    this.doc.text("SETLIST - ORGANIZER INFORMATION", this.margin, yPosition);
+    this.drawText("SETLIST - ORGANIZER INFORMATION", this.margin, yPosition);
     yPosition += lineHeight * 1.5;
 
-    // Date and basic info
-    this.doc.setFont("helvetica", "normal");
+    // Gig details
+    yPosition = this.addGigDetails(yPosition, lineHeight);
+
+    // Keep the totals together with the table header below them
+    yPosition = this.breakOrganizerPage(
+      yPosition,
+      lineHeight * 0.8 + sectionSpacing * 2.5
+    );
+
+    // Basic info
+    this.setFont("normal");
     this.doc.setFontSize(11);
-    const today = new Date().toLocaleDateString();
     const totalDuration = this.calculateTotalDuration(setlist);
 
-    this.doc.text(
+    this.drawText(
       `Total Duration: ${this.formatTime(totalDuration)}`,
       this.margin,
       yPosition
     );
     yPosition += lineHeight * 0.8;
-    this.doc.text(
-      `Total Songs: ${
-        setlist.filter((item) => item.type !== "midshow").length
-      }`,
+    this.drawText(
+      `Total Songs: ${SetlistModel.countSongs(setlist)}`,
       this.margin,
       yPosition
     );
     yPosition += sectionSpacing * 2.5;
 
     // Table headers
-    this.doc.setFont("helvetica", "bold");
+    this.setFont("bold");
     this.doc.setFontSize(10);
 
-    const colPositions = {
-      time: this.margin,
-      title: this.margin + 25,
-      vibe: this.margin + 110,
-      duration: this.margin + 160,
-    };
+    const extraColumns = this.fitOrganizerColumns(
+      this.getOptionalColumns(setlist)
+    );
+    const colPositions = this.layoutOrganizerColumns(extraColumns);
 
     // Draw header top line BEFORE text
     this.doc.line(
@@ -307,10 +689,7 @@ class SetlistPDFExporter {
       yPosition - 5
     );
 
-    this.doc.text("TIME", colPositions.time, yPosition);
-    this.doc.text("TITLE", colPositions.title, yPosition);
-    this.doc.text("VIBE/TYPE", colPositions.vibe, yPosition);
-    this.doc.text("DURATION", colPositions.duration, yPosition);
+    this.addOrganizerHeaderLabels(colPositions, extraColumns, yPosition);
 
     // Draw header bottom line AFTER text
     yPosition += 3;
@@ -323,19 +702,20 @@ class SetlistPDFExporter {
     yPosition += lineHeight * 0.8;
 
     // Content rows
-    this.doc.setFont("helvetica", "normal");
+    this.setFont("normal");
     this.doc.setFontSize(9);
 
     let currentTime = 0;
+    const sets = SetlistModel.splitIntoSets(setlist);
+    const groupBySet = sets.length > 1;
 
-    setlist.forEach((item, index) => {
-      // Check if we need a new page
+    const checkPageBreak = () => {
       if (yPosition > this.pageHeight - this.margin - 20) {
         this.doc.addPage();
         yPosition = this.margin + 25;
 
         // Redraw headers on new page
-        this.doc.setFont("helvetica", "bold");
+        this.setFont("bold");
         this.doc.setFontSize(10);
 
         // Draw header top line BEFORE text
@@ -346,10 +726,7 @@ class SetlistPDFExporter {
           yPosition - 1
         );
 
-        this.doc.text("TIME", colPositions.time, yPosition);
-        this.doc.text("TITLE", colPositions.title, yPosition);
-        this.doc.text("VIBE/TYPE", colPositions.vibe, yPosition);
-        this.doc.text("DURATION", colPositions.duration, yPosition);
+        this.addOrganizerHeaderLabels(colPositions, extraColumns, yPosition);
 
         // Draw header bottom line AFTER text
         yPosition += 5;
@@ -361,60 +738,151 @@ class SetlistPDFExporter {
         );
         yPosition += lineHeight * 1;
 
-        this.doc.setFont("helvetica", "normal");
+        this.setFont("normal");
         this.doc.setFontSize(9);
       }
+    };
 
-      const isSong = item.type !== "midshow";
+    sets.forEach((set) => {
+      const setStartTime = currentTime;
 
-      // Get song data from the songs array to access vibe and duration
-      let songData = null;
-      if (isSong && window.songs) {
-        songData = window.songs.find((s) => s.name === item.song);
+      // Set heading row
+      if (groupBySet) {
+        checkPageBreak();
+        this.setFont("bold");
+        this.doc.setFontSize(10);
+        this.drawText(set.name.toUpperCase(), colPositions.time, yPosition);
+        this.setFont("normal");
+        this.doc.setFontSize(9);
+        yPosition += lineHeight;
       }
 
-      const duration = isSong ? songData?.duration || 3 : 1;
-      const startTime = this.formatTime(currentTime);
-      const endTime = this.formatTime(currentTime + duration);
+      set.items.forEach((item, index) => {
+        // Segued songs share one row, printed at the first of them
+        const block = SetlistModel.segueBlock(set.items, index);
+        if (block.start < index) return;
+        const group = set.items.slice(block.start, block.end + 1);
+        const isSegue = group.length > 1;
 
-      // Time range
-      this.doc.text(`${startTime} - ${endTime}`, colPositions.time, yPosition);
+        // Check if we need a new page
+        checkPageBreak();
 
-      // Title (no shortening here)
-      const title = this.convertCzechCharacters(isSong ? item.song : item.text);
-      const maxTitleWidth = 80; // Adjust based on column width
-      const wrappedTitle = this.wrapText(title, maxTitleWidth, 9);
+        const isSong = item.type !== "midshow";
 
-      let titleYOffset = 0;
-      wrappedTitle.forEach((line, lineIndex) => {
-        this.doc.text(line, colPositions.title, yPosition + titleYOffset);
-        titleYOffset += lineHeight * 0.9;
-      });
+        // Get song data from the songs array to access vibe and duration
+        let songData = null;
+        if (isSong && !isSegue && window.songs) {
+          songData = SetlistModel.findSong(window.songs, item);
+        }
 
-      // Vibe/Type
-      if (isSong) {
-        const vibe = this.convertCzechCharacters(songData?.vibe || "Standard");
-        this.doc.text(vibe, colPositions.vibe, yPosition);
-      } else {
-        this.doc.setFont("helvetica", "italic");
-        this.doc.text("Midshow Break", colPositions.vibe, yPosition);
-        this.doc.setFont("helvetica", "normal");
-      }
+        const duration = SetlistModel.totalDuration(
+          group,
+          window.songs || [],
+          this.durationDefaults
+        );
+        const startTime = this.formatShowTime(currentTime);
+        const endTime = this.formatShowTime(currentTime + duration);
 
-      // Duration
-      this.doc.text(`${duration}:00`, colPositions.duration, yPosition);
+        // Time range
+        this.drawText(
+          `${startTime} - ${endTime}`,
+          colPositions.time,
+          yPosition
+        );
 
-      // Notes (additional info if needed)
-      if (item.notes) {
-        const notes = this.convertCzechCharacters(item.notes);
-        this.doc.text(notes, colPositions.notes, yPosition);
-      }
+        // Title (no shortening here)
+        const title = isSong
+          ? group
+              .map((song) => SetlistModel.songTitle(song, window.songs || []))
+              .join(" > ")
+          : item.text;
+        const maxTitleWidth = colPositions.vibe - colPositions.title - 5;
+        const wrappedTitle = this.wrapText(title, maxTitleWidth, 9);
+
+        let titleYOffset = 0;
+        wrappedTitle.forEach((line, lineIndex) => {
+          this.drawText(line, colPositions.title, yPosition + titleYOffset);
+          titleYOffset += lineHeight * 0.9;
+        });
+
+        // Vibe/Type
+        if (isSegue) {
+          this.setFont("italic");
+          this.drawText(
+            `Segue (${group.length} songs)`,
+            colPositions.vibe,
+            yPosition
+          );
+          this.setFont("normal");
+        } else if (isSong) {
+          const vibe = this.vibeName(songData?.vibe) || "Standard";
+          this.drawText(vibe, colPositions.vibe, yPosition);
+        } else {
+          this.setFont("italic");
+          this.drawText("Midshow Break", colPositions.vibe, yPosition);
+          this.setFont("normal");
+        }
+
+        // Optional song detail columns
+        extraColumns.forEach((column) => {
+          const value = this.columnValue(songData, column);
+          if (!value) return;
+          this.drawText(
+            this.truncateText(value, column.width - 2),
+            colPositions[column.field],
+            yPosition
+          );
+        });
+
+        // Duration
+        this.drawText(
+          SetlistModel.formatDuration(duration),
+          colPositions.duration,
+          yPosition
+        );
 
-      currentTime += duration;
-      const rowHeight = Math.max(lineHeight, titleYOffset);
-      yPosition += rowHeight;
+        // Notes under the title
+        const notes = group.flatMap((entry) =>
+          this.printedNotes(entry).map((note) => note.text)
+        );
+        if (notes.length > 0) {
+          this.setFont("italic");
+          this.doc.setFontSize(8);
+          this.wrapText(notes.join(" / "), maxTitleWidth, 8).forEach((line) => {
+            this.drawText(line, colPositions.title, yPosition + titleYOffset);
+            titleYOffset += lineHeight * 0.8;
+          });
+          this.setFont("normal");
+          this.doc.setFontSize(9);
+        }
 
-      // Add subtle line between items (positioned properly after the row)
+        currentTime +=
+          duration +
+          SetlistModel.gapAfter(set.items, block.end, this.durationDefaults);
+        const rowHeight = Math.max(lineHeight, titleYOffset);
+        yPosition += rowHeight;
+
+        // Add subtle line between items (positioned properly after the row)
+      });
+
+      // Set subtotal row
+      if (groupBySet) {
+        checkPageBreak();
+        this.setFont("italic");
+        this.drawText(
+          `${SetlistModel.countSongs(set.items)} songs`,
+          colPositions.title,
+          yPosition
+        );
+        this.drawText("Subtotal", colPositions.vibe, yPosition);
+        this.drawText(
+          SetlistModel.formatDuration(currentTime - setStartTime),
+          colPositions.duration,
+          yPosition
+        );
+        this.setFont("normal");
+        yPosition += lineHeight * 1.5;
+      }
     });
 
     // Summary section
@@ -427,34 +895,222 @@ class SetlistPDFExporter {
     );
     yPosition += lineHeight;
 
-    this.doc.setFont("helvetica", "bold");
+    this.setFont("bold");
     this.doc.setFontSize(11);
-    this.doc.text("SUMMARY", this.margin, yPosition);
+    this.drawText("SUMMARY", this.margin, yPosition);
     yPosition += lineHeight;
 
-    this.doc.setFont("helvetica", "normal");
+    this.setFont("normal");
     this.doc.setFontSize(10);
 
-    const songCount = setlist.filter((item) => item.type !== "midshow").length;
-    const midshowCount = setlist.length - songCount;
+    const songCount = SetlistModel.countSongs(setlist);
+    const midshowCount = setlist.filter(
+      (item) => item.type === "midshow"
+    ).length;
 
-    this.doc.text(`Total Songs: ${songCount}`, this.margin, yPosition);
+    this.drawText(`Total Songs: ${songCount}`, this.margin, yPosition);
     yPosition += lineHeight * 0.8;
-    this.doc.text(`Midshow Breaks: ${midshowCount}`, this.margin, yPosition);
+    if (groupBySet) {
+      this.drawText(`Sets: ${sets.length}`, this.margin, yPosition);
+      yPosition += lineHeight * 0.8;
+    }
+    this.drawText(`Midshow Breaks: ${midshowCount}`, this.margin, yPosition);
     yPosition += lineHeight * 0.8;
-    this.doc.text(
+    this.drawText(
       `Estimated Total Time: ${this.formatTime(totalDuration)}`,
       this.margin,
       yPosition
     );
     yPosition += lineHeight * 0.8;
-    this.doc.text(
-      `Expected End Time: ${this.formatTime(totalDuration)} after start`,
-      this.margin,
+
+    const showStart = SetlistModel.parseClockTime(this.gig.start);
+    if (showStart === null) {
+      this.drawText(
+        `Expected End Time: ${this.formatTime(totalDuration)} after start`,
+        this.margin,
+        yPosition
+      );
+    } else {
+      this.drawText(
+        `Expected End Time: ${this.formatClockTime(
+          showStart + totalDuration / 60
+        )}`,
+        this.margin,
+        yPosition
+      );
+    }
+
+    const slotLength = SetlistModel.slotLength(this.gig);
+    if (slotLength !== null) {
+      const spare = slotLength - totalDuration;
+
+      yPosition += lineHeight * 0.8;
+      this.drawText(
+        spare >= 0
+          ? `Curfew: ${this.gig.curfew} (${this.formatTime(spare)} to spare)`
+          : `Curfew: ${this.gig.curfew} (OVER by ${this.formatTime(-spare)})`,
+        this.margin,
+        yPosition
+      );
+    }
+  }
+
+  // Optional columns that at least one song in the setlist fills in
+  getOptionalColumns(setlist) {
+    const setlistSongs = setlist
+      .filter((item) => item.type === "song")
+      .map((item) => SetlistModel.findSong(window.songs || [], item))
+      .filter(Boolean);
+
+    return this.optionalColumns.filter((column) =>
+      setlistSongs.some((song) => this.columnValue(song, column))
+    );
+  }
+
+  // A song's value for an optional column as printed, "" when it has none
+  columnValue(song, column) {
+    const value = song ? song[column.field] : undefined;
+    if (value === undefined || value === null) return "";
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  }
+
+  // Narrowest the organizer title column gets (mm); detail columns that
+  // would squeeze it further are left out
+  static get MIN_TITLE_WIDTH() {
+    return 40;
+  }
+
+  // The optional columns that fit beside the time, title, vibe and duration
+  // columns, in order of preference
+  fitOrganizerColumns(columns) {
+    let room =
+      this.contentWidth - 25 - SetlistPDFExporter.MIN_TITLE_WIDTH - 28 - 18;
+    return columns.filter((column) => {
+      if (column.width > room) return false;
+      room -= column.width;
+      return true;
+    });
+  }
+
+  // Work out organizer column positions, squeezing the title and vibe
+  // columns to make room for optional song detail columns. Narrow pages get
+  // the squeezed layout even without them, so the title keeps its room.
+  layoutOrganizerColumns(extraColumns) {
+    const compact =
+      extraColumns.length > 0 ||
+      this.contentWidth - 25 - 84 < SetlistPDFExporter.MIN_TITLE_WIDTH;
+    if (!compact) {
+      return {
+        time: this.margin,
+        title: this.margin + 25,
+        vibe: this.margin + this.contentWidth - 84,
+        duration: this.margin + this.contentWidth - 34,
+      };
+    }
+
+    const positions = {
+      time: this.margin,
+      title: this.margin + 25,
+      duration: this.margin + this.contentWidth - 18,
+      compact: true,
+    };
+
+    let x = positions.duration;
+    [...extraColumns].reverse().forEach((column) => {
+      x -= column.width;
+      positions[column.field] = x;
+    });
+    positions.vibe = x - 28;
+
+    return positions;
+  }
+
+  addOrganizerHeaderLabels(colPositions, extraColumns, yPosition) {
+    this.drawText("TIME", colPositions.time, yPosition);
+    this.drawText("TITLE", colPositions.title, yPosition);
+    this.drawText(
+      colPositions.compact ? "VIBE" : "VIBE/TYPE",
+      colPositions.vibe,
+      yPosition
+    );
+    extraColumns.forEach((column) => {
+      this.drawText(column.label, colPositions[column.field], yPosition);
+    });
+    this.drawText(
+      colPositions.compact ? "DUR." : "DURATION",
+      colPositions.duration,
       yPosition
     );
   }
 
+  // Cut text down to a width, marking the cut with a trailing dot
+  truncateText(text, maxWidth) {
+    if (this.textWidth(text) <= maxWidth) return text;
+
+    let result = text;
+    while (result.length > 1 && this.textWidth(`${result}.`) > maxWidth) {
+      result = result.slice(0, -1);
+    }
+    return `${result}.`;
+  }
+
+  // Print the gig details block under the organizer header
+  addGigDetails(yPosition, lineHeight) {
+    const gig = this.gig;
+    const details = [
+      ["Band", gig.band],
+      ["Venue", gig.venue],
+      ["Date", gig.date && this.formatShowDate(gig.date)],
+      ["Doors", gig.doors],
+      ["Start", gig.start],
+      ["Curfew", gig.curfew],
+      ["Sound Engineer", gig.soundContact],
+    ].filter(([, value]) => value);
+
+    if (details.length === 0 && !gig.stagePlot) return yPosition;
+
+    const valueX = this.margin + 35;
+    this.doc.setFontSize(11);
+
+    details.forEach(([label, value]) => {
+      yPosition = this.breakOrganizerPage(yPosition);
+      this.setFont("bold");
+      this.drawText(`${label}:`, this.margin, yPosition);
+      this.setFont("normal");
+      this.drawText(value, valueX, yPosition);
+      yPosition += lineHeight * 0.8;
+    });
+
+    if (gig.stagePlot) {
+      yPosition = this.breakOrganizerPage(yPosition);
+      this.setFont("bold");
+      this.drawText("Stage Plot:", this.margin, yPosition);
+      this.setFont("normal");
+
+      const maxWidth = this.contentWidth - (valueX - this.margin);
+      gig.stagePlot.split("\n").forEach((paragraph) => {
+        this.wrapText(paragraph, maxWidth, 11).forEach((line) => {
+          yPosition = this.breakOrganizerPage(yPosition);
+          this.drawText(line, valueX, yPosition);
+          yPosition += lineHeight * 0.8;
+        });
+      });
+    }
+
+    return yPosition + lineHeight * 0.5;
+  }
+
+  // Start a new organizer page when a line at yPosition, plus the space
+  // needed below it, would run into the bottom margin. Returns where to
+  // print the line.
+  breakOrganizerPage(yPosition, needed = 0) {
+    if (yPosition + needed <= this.pageHeight - this.margin - 20) {
+      return yPosition;
+    }
+    this.doc.addPage();
+    return this.margin + 10;
+  }
+
   // Helper function to wrap text to fit in column
   wrapText(text, maxWidth, fontSize) {
     this.doc.setFontSize(fontSize);
@@ -464,7 +1120,7 @@ class SetlistPDFExporter {
 
     words.forEach((word) => {
       const testLine = currentLine + (currentLine ? " " : "") + word;
-      const testWidth = this.doc.getTextWidth(testLine);
+      const testWidth = this.textWidth(testLine);
 
       if (testWidth <= maxWidth) {
         currentLine = testLine;
@@ -487,38 +1143,39 @@ class SetlistPDFExporter {
   shortenPhrase(phrase, maxWidth, fontSize, isSong = true) {
     this.doc.setFontSize(fontSize);
 
-    // Convert Czech characters first
-    let workingPhrase = this.convertCzechCharacters(phrase);
-
     // If this is NOT a song (i.e., it's midshow), return the text as-is
     if (!isSong) {
-      return workingPhrase;
+      return phrase;
     }
 
     // Be more aggressive with the width check - start shortening earlier
-    const textWidth = this.doc.getTextWidth(workingPhrase);
-    if (textWidth <= maxWidth * 0.9) return workingPhrase; // Start shortening at 90% of max width
+    const textWidth = this.textWidth(phrase);
+    if (textWidth <= maxWidth * 0.9) return phrase; // Start shortening at 90% of max width
 
     console.log(
-      `Shortening "${workingPhrase}" - Width: ${textWidth}, Max: ${maxWidth}`
+      `Shortening "${phrase}" - Width: ${textWidth}, Max: ${maxWidth}`
     );
 
+    // Stage 0: The band's own abbreviations, kept through the later stages
+    if (Object.keys(this.abbreviations).length > 0) {
+      phrase = this.applyUserAbbreviations(phrase);
+      if (this.textWidth(phrase) <= maxWidth) return phrase;
+    }
+
     // Stage 1: Try simple vowel removal first (most readable)
-    let shortened = this.applyVowelRemoval(workingPhrase);
+    let shortened = this.applyVowelRemoval(phrase);
     console.log(`After vowel removal: "${shortened}"`);
-    if (this.doc.getTextWidth(shortened) <= maxWidth) return shortened;
+    if (this.textWidth(shortened) <= maxWidth) return shortened;
 
     // Stage 2: Apply morpheme shortcuts
-    shortened = this.applyMorphemeShortening(workingPhrase);
+    shortened = this.applyMorphemeShortening(phrase);
     console.log(`After morpheme shortening: "${shortened}"`);
-    if (this.doc.getTextWidth(shortened) <= maxWidth) return shortened;
+    if (this.textWidth(shortened) <= maxWidth) return shortened;
 
     // Stage 3: Combine vowel removal with morpheme shortcuts
-    shortened = this.applyVowelRemoval(
-      this.applyMorphemeShortening(workingPhrase)
-    );
+    shortened = this.applyVowelRemoval(this.applyMorphemeShortening(phrase));
     console.log(`After combined shortening: "${shortened}"`);
-    if (this.doc.getTextWidth(shortened) <= maxWidth) return shortened;
+    if (this.textWidth(shortened) <= maxWidth) return shortened;
 
     // Stage 4: More aggressive shortening as last resort
     const final = this.applyAggressiveShortening(shortened, maxWidth, fontSize);
@@ -528,35 +1185,59 @@ class SetlistPDFExporter {
 
   // Calculate appropriate font size for midshow text to fit on one line
   calculateMidshowFontSize(text, maxWidth, baseFontSize) {
-    // Convert Czech characters first
-    const workingText = this.convertCzechCharacters(text);
-
     // Start with base font size and reduce until it fits
     let fontSize = baseFontSize;
     const minFontSize = 8; // Don't go smaller than 8pt
 
     this.doc.setFontSize(fontSize);
-    let textWidth = this.doc.getTextWidth(workingText);
+    let textWidth = this.textWidth(text);
 
     while (textWidth > maxWidth && fontSize > minFontSize) {
       fontSize -= 1;
       this.doc.setFontSize(fontSize);
-      textWidth = this.doc.getTextWidth(workingText);
+      textWidth = this.textWidth(text);
     }
 
     console.log(
-      `Midshow "${workingText}" - Final font size: ${fontSize}, Width: ${textWidth}, Max: ${maxWidth}`
+      `Midshow "${text}" - Final font size: ${fontSize}, Width: ${textWidth}, Max: ${maxWidth}`
     );
 
     return fontSize;
   }
 
+  // Replace whole words from the user's dictionary, ignoring case
+  applyUserAbbreviations(phrase) {
+    let result = phrase;
+
+    for (const [word, abbrev] of Object.entries(this.abbreviations)) {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const regex = new RegExp(
+        `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`,
+        "giu"
+      );
+      result = result.replace(regex, () => abbrev);
+    }
+
+    return result;
+  }
+
+  // Whether a word is in the user's dictionary, as a word or as its
+  // abbreviation. The built-in stages leave these alone.
+  isUserAbbreviation(word) {
+    const lower = word.toLowerCase();
+    return Object.entries(this.abbreviations).some(
+      ([key, abbrev]) =>
+        key.toLowerCase() === lower || abbrev.toLowerCase() === lower
+    );
+  }
+
   // Simple vowel removal - most readable shortening method
   applyVowelRemoval(phrase) {
     return phrase
       .split(" ")
       .map((word) => {
         if (word.length <= 3) return word; // Keep very short words intact
+        if (this.isUserAbbreviation(word)) return word;
 
         // Keep first and last letters, remove vowels from middle
         const first = word[0];
@@ -608,8 +1289,10 @@ class SetlistPDFExporter {
       little: "ltl",
     };
 
-    // Apply only these common abbreviations
+    // Apply only these common abbreviations, unless the user's dictionary
+    // has its own entry for the word
     for (const [word, abbrev] of Object.entries(commonAbbreviations)) {
+      if (this.isUserAbbreviation(word)) continue;
       const regex = new RegExp(`\\b${word}\\b`, "gi");
       result = result.replace(regex, abbrev);
     }
@@ -621,7 +1304,7 @@ class SetlistPDFExporter {
   applyAggressiveShortening(phrase, maxWidth, fontSize) {
     this.doc.setFontSize(fontSize);
     const words = phrase.split(/\s+/);
-    const avgCharWidth = this.doc.getTextWidth("M");
+    const avgCharWidth = this.textWidth("M");
     const totalAvailableChars = Math.floor(maxWidth / avgCharWidth);
 
     let result = "";
@@ -643,7 +1326,7 @@ class SetlistPDFExporter {
       if (result) result += " ";
 
       const shortenedWord =
-        word.length <= targetCharsForWord
+        word.length <= targetCharsForWord || this.isUserAbbreviation(word)
           ? word
           : this.preserveWordShape(word, targetCharsForWord);
 
@@ -673,8 +1356,7 @@ class SetlistPDFExporter {
 
   // Enhanced font size calculation with single-page priority
   calculateFontSizes(setlist) {
-    const songCount = setlist.filter((item) => item.type !== "midshow").length;
-    const midshowCount = setlist.length - songCount;
+    const songCount = SetlistModel.countSongs(setlist);
 
     // If 9 or fewer songs, force everything to fit on one page
     if (songCount <= 9) {
@@ -720,6 +1402,11 @@ class SetlistPDFExporter {
         }
 
         estimatedHeight += lineHeight;
+        estimatedHeight +=
+          this.printedNotes(item).length *
+          Math.max(10, fontSize * 0.4) *
+          this.PT_TO_MM *
+          1.2;
       });
 
       if (estimatedHeight <= availableHeight) {
@@ -733,21 +1420,69 @@ class SetlistPDFExporter {
     };
   }
 
+  // Stage sheet: each set starts on its own page
   addSetlistContent(setlist) {
+    const sets = SetlistModel.splitIntoSets(setlist);
+
+    let songNumber = 1;
+
+    sets.forEach((set, index) => {
+      if (index > 0) {
+        this.addStagePage();
+      }
+      if (set.boundary && set.boundary.restartNumbering !== false) {
+        songNumber = 1;
+      }
+      songNumber = this.addSetPage(
+        set.items,
+        sets.length > 1 ? set.name : null,
+        songNumber
+      );
+    });
+  }
+
+  // Returns the number the next set's first song continues from
+  addSetPage(setlist, setName, firstSongNumber = 1) {
+    let songNumber = firstSongNumber;
     const { songFontSize, midshowFontSize } = this.calculateFontSizes(setlist);
-    const songCount = setlist.filter((item) => item.type !== "midshow").length;
+    const songCount = SetlistModel.countSongs(setlist);
     const forceSinglePage = songCount <= 9;
 
     let yPosition = this.margin + 15;
 
-    this.doc.setFont("helvetica", "bold");
+    // Small set heading so pages can't get mixed up on stage, naming the
+    // member in their own copy
+    const member = this.options.member;
+    const heading = [setName, member && member.name]
+      .filter(Boolean)
+      .join(" · ");
+    if (heading) {
+      this.setFont("bold");
+      this.doc.setFontSize(14);
+      this.drawText(heading.toUpperCase(), this.margin, this.margin + 4);
+      yPosition += 2;
+    }
 
     setlist.forEach((item, index) => {
       const isSong = item.type !== "midshow";
-      const text = isSong ? item.song : item.text;
+      // Measure in the style the text is printed in
+      const style = isSong ? "bold" : "italic";
+      this.setFont(style);
+      // A song's stage title replaces its name and is printed as typed
+      const song = isSong
+        ? SetlistModel.findSong(window.songs || [], item)
+        : null;
+      const stageTitle = song && song.stageTitle;
+      const title = isSong
+        ? stageTitle || SetlistModel.songTitle(item, window.songs || [])
+        : item.text;
+      const number =
+        isSong && this.options.numbering ? `${songNumber++}. ` : "";
+      const text = number + title;
+      const segues = SetlistModel.seguesIntoNext(setlist, index);
 
       // Use different max widths
-      const maxWidth = isSong ? this.contentWidth : this.contentWidth - 15; // Slightly less width for midshow due to indentation
+      let maxWidth = isSong ? this.contentWidth : this.contentWidth - 15; // Slightly less width for midshow due to indentation
 
       // Calculate actual font size to use
       let actualFontSize;
@@ -770,28 +1505,73 @@ class SetlistPDFExporter {
         yPosition += extraSpace;
       }
 
-      // Apply intelligent shortening ONLY to songs, pass isSong parameter
-      const displayText = this.shortenPhrase(
-        text,
-        maxWidth,
-        actualFontSize,
-        isSong
-      );
+      // Leave room for the segue arrow and the duration
+      const arrowWidth = actualFontSize * this.PT_TO_MM * 0.9;
+      if (segues) {
+        maxWidth -= arrowWidth * 1.4;
+      }
+      const durationSize = Math.max(10, actualFontSize * 0.45);
+      const duration =
+        this.options.durations && isSong
+          ? SetlistModel.formatDuration(
+              SetlistModel.itemDuration(
+                item,
+                window.songs || [],
+                this.durationDefaults
+              )
+            )
+          : "";
+      if (duration) {
+        this.setFont("normal");
+        this.doc.setFontSize(durationSize);
+        maxWidth -= this.textWidth(duration) + 4;
+        this.setFont(style);
+      }
 
-      // Set font size and style
+      // Apply intelligent shortening ONLY to songs, pass isSong parameter.
+      // The number is left out so it can't be abbreviated.
       this.doc.setFontSize(actualFontSize);
-
-      if (!isSong) {
-        this.doc.setFont("helvetica", "italic");
-      } else {
-        this.doc.setFont("helvetica", "bold");
+      const printedTitle = stageTitle
+        ? title
+        : this.shortenPhrase(
+            title,
+            maxWidth - (number ? this.textWidth(number) : 0),
+            actualFontSize,
+            isSong
+          );
+      if (isSong && printedTitle !== title) {
+        this.shortened.push({
+          songId: item.songId,
+          title: title,
+          printed: printedTitle,
+        });
       }
+      const displayText = number + printedTitle;
 
       // Position text higher - reduce baseline offset
       const xPos = isSong ? this.margin : this.margin + 15;
       const baselineOffset = actualFontSize * this.PT_TO_MM * 0.8; // Reduced from 0.75
 
-      this.doc.text(displayText, xPos, yPosition + baselineOffset);
+      this.drawText(displayText, xPos, yPosition + baselineOffset);
+
+      if (segues) {
+        this.drawSegueArrow(
+          xPos + this.textWidth(displayText) + arrowWidth * 0.3,
+          yPosition + baselineOffset - actualFontSize * this.PT_TO_MM * 0.3,
+          arrowWidth
+        );
+      }
+
+      if (duration) {
+        this.setFont("normal");
+        this.doc.setFontSize(durationSize);
+        this.drawText(
+          duration,
+          this.pageWidth - this.margin,
+          yPosition + baselineOffset,
+          { align: "right" }
+        );
+      }
 
       // Compact line spacing based on actual font size used
       const lineHeight = forceSinglePage
@@ -800,20 +1580,59 @@ class SetlistPDFExporter {
 
       yPosition += lineHeight;
 
+      // The member's own notes stand out from the ones for everyone
+      this.printedNotes(item).forEach((note) => {
+        const noteSize = Math.max(10, actualFontSize * 0.4);
+        this.setFont(note.memberId ? "bold" : "italic");
+        this.doc.setFontSize(noteSize);
+        this.drawText(
+          this.truncateText(note.text, this.contentWidth - 10),
+          xPos + 10,
+          yPosition
+        );
+        yPosition += noteSize * this.PT_TO_MM * 1.2;
+      });
+
       // Only allow page breaks if more than 9 songs
       if (
         !forceSinglePage &&
         yPosition + lineHeight > this.pageHeight - this.margin
       ) {
-        this.doc.addPage();
+        this.addStagePage();
         yPosition = this.margin + 15;
       }
     });
+
+    return songNumber;
+  }
+
+  // "→" marker after a song that runs into the next one, drawn as lines
+  // so it looks the same whichever font the title is printed in
+  drawSegueArrow(x, y, width) {
+    const head = width * 0.35;
+    this.doc.setLineWidth(width * 0.1);
+    this.doc.line(x, y, x + width, y);
+    this.doc.line(x + width - head, y - head, x + width, y);
+    this.doc.line(x + width - head, y + head, x + width, y);
+    this.doc.setLineWidth(0.2);
+  }
+
+  // Notes printed under an item: the one for everyone when notes are
+  // included, plus the member's own in their copy
+  printedNotes(item) {
+    const member = this.options.member;
+    return SetlistModel.itemNotes(item, member ? member.id : null).filter(
+      (note) => (note.memberId ? Boolean(member) : this.options.notes)
+    );
   }
 
-  save() {
-    const today = new Date().toLocaleDateString();
-    this.doc.save(`setlist-${today.replace(/\//g, "-")}.pdf`);
+  // A member's copy is named after them, or after their id when the name
+  // has no letters a file name keeps (Cyrillic or Greek, say)
+  fileName(gig, member = null) {
+    const suffix = member
+      ? SetlistExporter.slug(member.name) || `member-${member.id}`
+      : "";
+    return SetlistExporter.fileName(gig, "pdf", suffix);
   }
 }
 
@@ -0,0 +1,95 @@
+// A log of shows the band has played, each a snapshot of the setlist as it
+// was performed, and the play statistics built from it.
+//
+// A performance is { id, setlistId, name, date ("YYYY-MM-DD"), venue, gig,
+// duration (seconds), items }. Song items keep their title so the log still
+// reads right after a song is renamed or deleted.
+class PerformanceHistory {
+  static create(setlist, songs, defaults, date, venue) {
+    const items = JSON.parse(JSON.stringify(setlist.items));
+
+    return {
+      id: SetlistModel.generateId(),
+      setlistId: setlist.id,
+      name: setlist.name,
+      date: date,
+      venue: venue.trim().replace(/\s+/g, " "),
+      gig: { ...setlist.gig },
+      duration: SetlistModel.totalDuration(setlist.items, songs, defaults),
+      items: items.map((item) =>
+        item.type === "song"
+          ? { ...item, title: SetlistModel.songTitle(item, songs) }
+          : item
+      ),
+    };
+  }
+
+  // Newest show first, the last one logged first on the same day
+  static sorted(performances) {
+    return [...performances]
+      .reverse()
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  // { songId: { count, lastPlayed } }, counting each song once per show
+  static songStats(performances) {
+    const stats = {};
+    performances.forEach((performance) => {
+      new Set(
+        performance.items
+          .filter((item) => item.type === "song")
+          .map((item) => item.songId)
+      ).forEach((id) => {
+        const entry = stats[id] || { count: 0, lastPlayed: null };
+        entry.count++;
+        if (!entry.lastPlayed || performance.date > entry.lastPlayed) {
+          entry.lastPlayed = performance.date;
+        }
+        stats[id] = entry;
+      });
+    });
+    return stats;
+  }
+
+  // The most recent show at a venue, matched ignoring case and spacing
+  static lastAtVenue(performances, venue) {
+    const name = this.venueKey(venue);
+    if (!name) return null;
+    return (
+      this.sorted(performances).find(
+        (performance) => this.venueKey(performance.venue) === name
+      ) || null
+    );
+  }
+
+  static venueKey(venue) {
+    return (venue || "").trim().replace(/\s+/g, " ").toLowerCase();
+  }
+
+  // Today as "YYYY-MM-DD" in local time, the format of date inputs
+  static today(date = new Date()) {
+    return [
+      date.getFullYear(),
+      (date.getMonth() + 1).toString().padStart(2, "0"),
+      date.getDate().toString().padStart(2, "0"),
+    ].join("-");
+  }
+
+  // Whole days from one "YYYY-MM-DD" date to another
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+  }
+
+  // Copy a backup's performances into this library, pointing their songs
+  // at the ids the backup's songs were given here
+  static relink(performances, songIds) {
+    return performances.map((performance) => ({
+      ...performance,
+      items: performance.items.map((item) =>
+        item.songId && songIds[item.songId]
+          ? { ...item, songId: songIds[item.songId] }
+          : item
+      ),
+    }));
+  }
+}
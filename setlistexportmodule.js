@@ -0,0 +1,432 @@
+// Text exports of a setlist (plain text, Markdown, CSV, printable HTML and
+// JSON), built from the same timing and notes data as the PDF.
+//
+// Formats are registered by id as { label, description, extension,
+// mimeType, render(show) }, where render turns showData()'s result into the
+// file's contents. More can be added with SetlistExporter.register().
+class SetlistExporter {
+  static get formats() {
+    if (!this.registry) {
+      this.registry = {
+        text: {
+          label: "Plain text",
+          description: "Times and titles, one line each",
+          extension: "txt",
+          mimeType: "text/plain",
+          render: (show) => this.renderText(show),
+        },
+        markdown: {
+          label: "Markdown",
+          description: "A numbered list for chats and wikis",
+          extension: "md",
+          mimeType: "text/markdown",
+          render: (show) => this.renderMarkdown(show),
+        },
+        csv: {
+          label: "CSV",
+          description: "A spreadsheet with times and song details",
+          extension: "csv",
+          mimeType: "text/csv",
+          render: (show) => this.renderCSV(show),
+        },
+        html: {
+          label: "Printable HTML",
+          description: "A web page to print from any browser",
+          extension: "html",
+          mimeType: "text/html",
+          render: (show) => this.renderHTML(show),
+        },
+        json: {
+          label: "JSON",
+          description: "Structured data for other tools",
+          extension: "json",
+          mimeType: "application/json",
+          render: (show) => this.renderJSON(show),
+        },
+      };
+    }
+    return this.registry;
+  }
+
+  static register(id, format) {
+    this.formats[id] = format;
+  }
+
+  // Render a setlist ({ name, items, gig }) in a format. Returns
+  // { content, fileName, mimeType }. members ({ id, name }) name the band
+  // members' own notes.
+  static export(formatId, setlist, songs, defaults, vibes = [], members = []) {
+    const format = this.formats[formatId];
+    if (!format) {
+      throw new Error(`Unknown export format "${formatId}"`);
+    }
+
+    const show = this.showData(setlist, songs, defaults, vibes, members);
+    return {
+      content: format.render(show),
+      fileName: this.fileName(setlist.gig || {}, format.extension),
+      mimeType: format.mimeType,
+    };
+  }
+
+  // Everything the formats print: the show's sets with each item's number,
+  // title, times and notes. Times are clock times when the gig has a start
+  // time, otherwise offsets into the show. Notes are { member, text }, with
+  // member null for the note for everyone.
+  static showData(setlist, songs, defaults, vibes = [], members = []) {
+    const items = setlist.items;
+    const gig = setlist.gig || {};
+    const starts = SetlistModel.startTimes(items, songs, defaults);
+    const showStart = SetlistModel.parseClockTime(gig.start);
+    const showTime = (seconds) => {
+      if (showStart === null) return SetlistModel.formatDuration(seconds);
+      const minutes = Math.round(showStart + seconds / 60) % (24 * 60);
+      return `${Math.floor(minutes / 60)
+        .toString()
+        .padStart(2, "0")}:${(minutes % 60).toString().padStart(2, "0")}`;
+    };
+    const vibeName = (id) => {
+      const vibe = vibes.find((v) => v.id === id);
+      return vibe ? vibe.name : id || "";
+    };
+    // Notes of members who were removed are left out, as in the app
+    const notes = (item) =>
+      SetlistModel.itemNotes(item).flatMap((note) => {
+        if (!note.memberId) return [{ member: null, text: note.text }];
+        const member = members.find((m) => m.id === note.memberId);
+        return member ? [{ member: member.name, text: note.text }] : [];
+      });
+
+    // Numbering runs on across sets unless a set restarts it, as in the PDF
+    let songNumber = 1;
+    const sets = SetlistModel.splitIntoSets(items).map((set) => {
+      if (set.boundary && set.boundary.restartNumbering !== false) {
+        songNumber = 1;
+      }
+
+      const setItems = set.items.map((item) => {
+        const index = items.indexOf(item);
+        const song = SetlistModel.findSong(songs, item);
+        const duration = SetlistModel.itemDuration(item, songs, defaults);
+        return {
+          type: item.type,
+          number: item.type === "song" ? songNumber++ : null,
+          title:
+            item.type === "song"
+              ? SetlistModel.songTitle(item, songs)
+              : item.text || "",
+          song: song,
+          vibe: song ? vibeName(song.vibe) : "",
+          notes: notes(item),
+          segue: SetlistModel.seguesIntoNext(items, index),
+          start: starts[index],
+          duration: duration,
+          startTime: showTime(starts[index]),
+          endTime: showTime(starts[index] + duration),
+        };
+      });
+
+      // Set lengths run from their first item to the end of their last one
+      const last = setItems[setItems.length - 1];
+      return {
+        name: set.name,
+        items: setItems,
+        duration: last ? last.start + last.duration - setItems[0].start : 0,
+      };
+    });
+
+    return {
+      name: setlist.name || "Setlist",
+      gig: gig,
+      sets: sets.filter((set) => set.items.length > 0),
+      songCount: SetlistModel.countSongs(items),
+      duration: SetlistModel.totalDuration(items, songs, defaults),
+    };
+  }
+
+  // "Venue · 2024-05-01 · Start 20:00 · Curfew 23:00"
+  static gigLine(gig) {
+    return [
+      gig.band,
+      gig.venue,
+      gig.date,
+      gig.start && `Start ${gig.start}`,
+      gig.curfew && `Curfew ${gig.curfew}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  // "Ann: capo 2" for a member's note, the text alone for everyone's
+  static noteText(note) {
+    return note.member ? `${note.member}: ${note.text}` : note.text;
+  }
+
+  static summaryLine(show) {
+    return `${show.songCount} songs · ${SetlistModel.formatDuration(
+      show.duration
+    )}`;
+  }
+
+  static renderText(show) {
+    const lines = [show.name.toUpperCase()];
+    const gigLine = this.gigLine(show.gig);
+    if (gigLine) lines.push(gigLine);
+    lines.push(this.summaryLine(show));
+
+    show.sets.forEach((set) => {
+      lines.push("");
+      if (show.sets.length > 1) {
+        lines.push(
+          `${set.name.toUpperCase()} (${SetlistModel.formatDuration(
+            set.duration
+          )})`
+        );
+      }
+      set.items.forEach((item) => {
+        const title =
+          item.type === "song"
+            ? `${item.number}. ${item.title}${item.segue ? " >" : ""}`
+            : `-- ${item.title} --`;
+        lines.push(
+          `${item.startTime.padStart(
+            5
+          )}  ${title}  (${SetlistModel.formatDuration(item.duration)})`
+        );
+        item.notes.forEach((note) =>
+          lines.push(`       Note: ${this.noteText(note)}`)
+        );
+      });
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  static escapeMarkdown(text) {
+    return text.replace(/([\\`*_{}[\]<>#|~])/g, "\\$1");
+  }
+
+  static renderMarkdown(show) {
+    const lines = [`# ${this.escapeMarkdown(show.name)}`, ""];
+    const gigLine = this.gigLine(show.gig);
+    if (gigLine) lines.push(`**${this.escapeMarkdown(gigLine)}**  `);
+    lines.push(`*${this.summaryLine(show)}*`);
+
+    show.sets.forEach((set) => {
+      lines.push("");
+      if (show.sets.length > 1) {
+        lines.push(
+          `## ${this.escapeMarkdown(set.name)} (${SetlistModel.formatDuration(
+            set.duration
+          )})`,
+          ""
+        );
+      }
+      set.items.forEach((item) => {
+        const duration = SetlistModel.formatDuration(item.duration);
+        if (item.type === "song") {
+          lines.push(
+            `${item.number}. \`${item.startTime}\` **${this.escapeMarkdown(
+              item.title
+            )}** (${duration})${item.segue ? " →" : ""}`
+          );
+        } else {
+          lines.push(
+            `- \`${item.startTime}\` *${this.escapeMarkdown(
+              item.title
+            )}* (${duration})`
+          );
+        }
+        item.notes.forEach((note) =>
+          lines.push(`   > ${this.escapeMarkdown(this.noteText(note))}`)
+        );
+      });
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  // Quote a CSV cell when it holds a delimiter, quote or line break
+  static csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static renderCSV(show) {
+    const header = [
+      "Set",
+      "Number",
+      "Type",
+      "Title",
+      "Start",
+      "End",
+      "Duration",
+      "Vibe",
+      "Key",
+      "BPM",
+      "Tuning",
+      "Capo",
+      "Vocals",
+      "Segue",
+      "Notes",
+    ];
+    const rows = show.sets.flatMap((set) =>
+      set.items.map((item) => [
+        set.name,
+        item.number,
+        item.type,
+        item.title,
+        item.startTime,
+        item.endTime,
+        SetlistModel.formatDuration(item.duration),
+        item.vibe,
+        item.song && item.song.key,
+        item.song && item.song.bpm,
+        item.song && item.song.tuning,
+        item.song && item.song.capo,
+        item.song && item.song.singer,
+        item.segue ? "yes" : "",
+        item.notes.map((note) => this.noteText(note)).join("\n"),
+      ])
+    );
+
+    return `${[header, ...rows]
+      .map((row) => row.map((cell) => this.csvCell(cell)).join(","))
+      .join("\r\n")}\r\n`;
+  }
+
+  static escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // A standalone page with its own print styles
+  static renderHTML(show) {
+    const escape = (text) => this.escapeHTML(text);
+    const gigLine = this.gigLine(show.gig);
+
+    const sets = show.sets
+      .map((set) => {
+        const rows = set.items
+          .map(
+            (item) => `
+        <tr class="${item.type}">
+          <td class="time">${escape(item.startTime)}</td>
+          <td class="number">${item.number || ""}</td>
+          <td>
+            <span class="title">${escape(item.title)}</span>${
+              item.segue ? ' <span class="segue">→</span>' : ""
+            }${item.notes
+              .map(
+                (note) =>
+                  `<div class="note">${escape(this.noteText(note))}</div>`
+              )
+              .join("")}
+          </td>
+          <td class="duration">${SetlistModel.formatDuration(
+            item.duration
+          )}</td>
+        </tr>`
+          )
+          .join("");
+
+        return `
+    ${
+      show.sets.length > 1
+        ? `<h2>${escape(set.name)} <small>${SetlistModel.formatDuration(
+            set.duration
+          )}</small></h2>`
+        : ""
+    }
+    <table>${rows}
+    </table>`;
+      })
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escape(show.name)}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; margin: 2rem; color: #000; }
+      h1 { margin: 0; }
+      .meta { color: #444; margin: 0.25rem 0 1.5rem; }
+      h2 { margin: 1.5rem 0 0.5rem; page-break-after: avoid; }
+      h2 small { font-weight: normal; color: #666; }
+      table { width: 100%; border-collapse: collapse; }
+      td { padding: 0.4rem 0.5rem; border-bottom: 1px solid #ccc; vertical-align: top; }
+      tr { page-break-inside: avoid; }
+      .time, .duration { white-space: nowrap; color: #444; width: 1%; }
+      .number { text-align: right; width: 1%; }
+      .song .title { font-size: 1.3rem; font-weight: bold; }
+      .midshow .title { font-style: italic; }
+      .note { font-style: italic; color: #444; }
+      @media print { body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <h1>${escape(show.name)}</h1>
+    <p class="meta">${gigLine ? `${escape(gigLine)}<br />` : ""}${escape(
+      this.summaryLine(show)
+    )}</p>${sets}
+  </body>
+</html>
+`;
+  }
+
+  // Durations and start offsets in seconds, alongside the printed times
+  static renderJSON(show) {
+    return `${JSON.stringify(
+      {
+        name: show.name,
+        gig: show.gig,
+        songCount: show.songCount,
+        duration: show.duration,
+        sets: show.sets.map((set) => ({
+          name: set.name,
+          duration: set.duration,
+          items: set.items.map((item) => ({
+            type: item.type,
+            number: item.number,
+            title: item.title,
+            songId: item.song ? item.song.id : null,
+            vibe: item.vibe,
+            start: item.start,
+            startTime: item.startTime,
+            duration: item.duration,
+            segue: item.segue,
+            notes: item.notes,
+          })),
+        })),
+      },
+      null,
+      2
+    )}\n`;
+  }
+
+  // "Café Nový" -> "cafe-novy"
+  static slug(text) {
+    return (text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  // Name files after the show, falling back to today's date. suffix tells
+  // apart copies of the same show, e.g. each band member's.
+  static fileName(gig, extension, suffix = "") {
+    const date =
+      gig.date || new Date().toLocaleDateString().replace(/\//g, "-");
+    const parts = [this.slug(gig.venue), this.slug(suffix)].filter(Boolean);
+
+    return `setlist-${date}${parts
+      .map((part) => `-${part}`)
+      .join("")}.${extension}`;
+  }
+}
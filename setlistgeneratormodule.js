@@ -0,0 +1,194 @@
+// Builds setlist proposals from the song database for a target running time
+// and energy shape
+class SetlistGenerator {
+  // Each shape lists segments of the show (as a fraction of its length) and
+  // the energy level (1-5) wanted there, matched against the configured
+  // vibes' energy. A closer segment ends on a song of a closer vibe.
+  static get shapes() {
+    return {
+      "hot-dip-big": {
+        label: "Open hot, dip in the middle, close big",
+        segments: [
+          { until: 0.2, energy: 5 },
+          { until: 0.55, energy: 2 },
+          { until: 0.9, energy: 4 },
+          { until: 1, energy: 5, closer: true },
+        ],
+      },
+      "slow-build": {
+        label: "Start gentle, build to the end",
+        segments: [
+          { until: 0.3, energy: 1 },
+          { until: 0.6, energy: 3 },
+          { until: 0.9, energy: 4 },
+          { until: 1, energy: 5, closer: true },
+        ],
+      },
+      "all-out": {
+        label: "High energy all the way",
+        segments: [
+          { until: 0.9, energy: 5 },
+          { until: 1, energy: 5, closer: true },
+        ],
+      },
+      "wind-down": {
+        label: "Start big, wind down",
+        segments: [
+          { until: 0.3, energy: 5 },
+          { until: 0.7, energy: 3 },
+          { until: 1, energy: 1 },
+        ],
+      },
+    };
+  }
+
+  // options: { target (seconds), shape, include: [ids], exclude: [ids],
+  // pinned: [{ index, item }], defaults, vibes: [{ id, energy, closer }],
+  // count }
+  // Returns up to `count` distinct proposals, closest to the target first.
+  static generate(songs, options) {
+    const count = options.count || 3;
+    const proposals = [];
+    const seen = new Set();
+
+    for (let attempt = 0; attempt < count * 5; attempt++) {
+      if (proposals.length >= count) break;
+
+      const items = this.buildProposal(songs, options, attempt === 0 ? 0 : 1);
+      const signature = items
+        .map((item) => (item.type === "song" ? item.songId : item.type))
+        .join("|");
+      if (seen.has(signature)) continue;
+      seen.add(signature);
+
+      const duration = SetlistModel.totalDuration(
+        items,
+        songs,
+        options.defaults
+      );
+      proposals.push({
+        items: items,
+        duration: duration,
+        difference: duration - options.target,
+      });
+    }
+
+    return proposals.sort(
+      (a, b) => Math.abs(a.difference) - Math.abs(b.difference)
+    );
+  }
+
+  // One proposal; randomness 0 gives the best-scoring pick every time
+  static buildProposal(songs, options, randomness) {
+    const segments = this.shapes[options.shape].segments;
+    const pinned = options.pinned || [];
+    const exclude = new Set(options.exclude || []);
+    const pinnedIds = new Set(
+      pinned
+        .filter(({ item }) => item.type === "song")
+        .map(({ item }) => item.songId)
+    );
+    const songLength = (song) =>
+      (song.duration || options.defaults.defaultSongDuration) +
+      (options.defaults.songGap || 0);
+
+    const available = songs.filter(
+      (song) => !exclude.has(song.id) && !pinnedIds.has(song.id)
+    );
+    let required = available.filter((song) =>
+      (options.include || []).includes(song.id)
+    );
+    let pool = available.filter((song) => !required.includes(song));
+
+    const budget =
+      options.target -
+      SetlistModel.totalDuration(
+        pinned.map(({ item }) => item),
+        songs,
+        options.defaults
+      );
+
+    const vibes = options.vibes || [];
+    const vibeOf = (song) => SetlistModel.songVibe(song, vibes);
+    const energyOf = (song) => (vibeOf(song) ? vibeOf(song).energy : 3);
+
+    // Songs score by how far their vibe's energy is from the segment's
+    const pick = (candidates, segment) => {
+      let best = null;
+      let bestScore = Infinity;
+      candidates.forEach((song) => {
+        const score =
+          Math.abs(energyOf(song) - segment.energy) +
+          Math.random() * randomness * 2;
+        if (score < bestScore) {
+          best = song;
+          bestScore = score;
+        }
+      });
+      return best;
+    };
+    const take = (song) => {
+      required = required.filter((s) => s !== song);
+      pool = pool.filter((s) => s !== song);
+    };
+
+    // Reserve the last song so the show always ends the way the shape
+    // does: on a closer vibe, or else at the final segment's energy
+    const finalSegment = segments[segments.length - 1];
+    const endsShow = (song) =>
+      finalSegment.closer
+        ? Boolean(vibeOf(song) && vibeOf(song).closer)
+        : energyOf(song) === finalSegment.energy;
+    const closer =
+      pick(required.filter(endsShow), finalSegment) ||
+      pick(pool.filter(endsShow), finalSegment);
+    if (closer) take(closer);
+
+    const sequence = [];
+    let elapsed = 0;
+    const fillTarget = budget - (closer ? songLength(closer) : 0);
+
+    while (required.length > 0 || pool.length > 0) {
+      const position = fillTarget > 0 ? elapsed / fillTarget : 1;
+      const segment =
+        segments.find((s) => position < s.until) ||
+        segments[segments.length - 1];
+
+      // Required songs take over once the remaining time only just fits them
+      const requiredLength = required.reduce(
+        (total, song) => total + songLength(song),
+        0
+      );
+      const mustPlaceRequired =
+        required.length > 0 && fillTarget - elapsed <= requiredLength;
+      const song = pick(
+        mustPlaceRequired ? required : [...required, ...pool],
+        segment
+      );
+
+      // Stop when adding another song would land further from the target
+      const overshoot = elapsed + songLength(song) - fillTarget;
+      if (required.length === 0 && overshoot > fillTarget - elapsed) break;
+
+      sequence.push(song);
+      take(song);
+      elapsed += songLength(song);
+    }
+    if (closer) sequence.push(closer);
+
+    // Put pinned items back at their positions around the generated songs
+    const items = sequence.map((song) => ({
+      id: SetlistModel.generateId(),
+      type: "song",
+      songId: song.id,
+      note: "",
+    }));
+    [...pinned]
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ index, item }) => {
+        items.splice(Math.min(index, items.length), 0, item);
+      });
+
+    return items;
+  }
+}
@@ -0,0 +1,147 @@
+// Rule-based checks that catch setlist problems before the gig
+class SetlistLinter {
+  // Vibes at or below this energy level count as low energy
+  static get LOW_ENERGY() {
+    return 2;
+  }
+
+  // Each rule returns warnings as { index, message }; index is the setlist
+  // item the warning belongs to, or null for the show as a whole. Rules
+  // about vibes go by the configured vibes' energy and closer role.
+  static get rules() {
+    return [
+      {
+        id: "mellow-streak",
+        label: "Three or more low-energy songs in a row",
+        check: ({ items, songs, vibes = [] }) => {
+          const warnings = [];
+          let streak = 0;
+
+          items.forEach((item, index) => {
+            if (item.type === "set") {
+              streak = 0;
+            } else if (item.type === "song") {
+              const vibe = SetlistModel.songVibe(
+                SetlistModel.findSong(songs, item),
+                vibes
+              );
+              streak = vibe && vibe.energy <= this.LOW_ENERGY ? streak + 1 : 0;
+              if (streak >= 3) {
+                warnings.push({
+                  index: index,
+                  message: `${streak} low-energy songs in a row`,
+                });
+              }
+            }
+          });
+
+          return warnings;
+        },
+      },
+      {
+        id: "closing-song",
+        label: "Show doesn't end on a closing song",
+        check: ({ items, songs, vibes = [] }) => {
+          const lastIndex = items.map((item) => item.type).lastIndexOf("song");
+          // Without a closer vibe there is nothing to end on
+          if (lastIndex === -1 || !vibes.some((vibe) => vibe.closer)) {
+            return [];
+          }
+
+          const vibe = SetlistModel.songVibe(
+            SetlistModel.findSong(songs, items[lastIndex]),
+            vibes
+          );
+          return vibe && vibe.closer
+            ? []
+            : [{ index: lastIndex, message: "Last song isn't a closer" }];
+        },
+      },
+      {
+        id: "missing-duration",
+        label: "Songs without a duration",
+        check: ({ items, songs, defaults }) =>
+          items
+            .map((item, index) => ({
+              index,
+              song: SetlistModel.findSong(songs, item),
+            }))
+            .filter(({ song }) => song && !song.duration)
+            .map(({ index }) => ({
+              index: index,
+              message: `No duration, counted as ${SetlistModel.formatDuration(
+                defaults.defaultSongDuration
+              )}`,
+            })),
+      },
+      {
+        id: "missing-song",
+        label: "Songs no longer in the database",
+        check: ({ items, songs }) =>
+          items
+            .map((item, index) => ({ item, index }))
+            .filter(
+              ({ item }) =>
+                item.type === "song" && !SetlistModel.findSong(songs, item)
+            )
+            .map(({ index }) => ({
+              index: index,
+              message: "Not in the song database",
+            })),
+      },
+      {
+        id: "over-slot",
+        label: "Show runs past the curfew",
+        check: ({ items, songs, defaults, gig }) => {
+          const slotLength = SetlistModel.slotLength(gig);
+          if (slotLength === null) return [];
+
+          const over =
+            SetlistModel.totalDuration(items, songs, defaults) - slotLength;
+          return over > 0
+            ? [
+                {
+                  index: null,
+                  message: `Show runs ${SetlistModel.formatDuration(
+                    over
+                  )} past the curfew`,
+                },
+              ]
+            : [];
+        },
+      },
+      {
+        id: "midshow-edges",
+        label: "Midshow item at the very start or end",
+        check: ({ items }) => {
+          const content = items
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.type !== "set");
+          if (content.length === 0) return [];
+
+          const edges = [content[0]];
+          if (content.length > 1) edges.push(content[content.length - 1]);
+
+          return edges
+            .filter(({ item }) => item.type === "midshow")
+            .map(({ index }) => ({
+              index: index,
+              message:
+                index === content[0].index
+                  ? "Show opens with a midshow item"
+                  : "Show ends with a midshow item",
+            }));
+        },
+      },
+    ];
+  }
+
+  // Run every enabled rule, tagging warnings with the rule that raised them
+  static lint(context, disabledRules = []) {
+    return this.rules
+      .filter((rule) => !disabledRules.includes(rule.id))
+      .flatMap((rule) =>
+        rule.check(context).map((warning) => ({ ...warning, rule: rule.id }))
+      );
+  }
+}
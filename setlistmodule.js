@@ -0,0 +1,241 @@
+// Setlist structure helpers shared by the editor and the PDF exporter
+class SetlistModel {
+  // Split a flat setlist into sets at each "set" boundary item.
+  // Items before the first boundary form an implicit "Set 1".
+  static splitIntoSets(setlist) {
+    const sets = [{ name: "Set 1", boundary: null, items: [] }];
+
+    setlist.forEach((item) => {
+      if (item.type !== "set") {
+        sets[sets.length - 1].items.push(item);
+        return;
+      }
+
+      // Drop the implicit first set when the setlist opens with a boundary
+      const current = sets[sets.length - 1];
+      if (!current.boundary && current.items.length === 0) {
+        sets.pop();
+      }
+
+      sets.push({
+        name: item.name || `Set ${sets.length + 1}`,
+        boundary: item,
+        items: [],
+      });
+    });
+
+    return sets;
+  }
+
+  // Parse a duration typed as "3:40", "1:02:30" or plain minutes ("4",
+  // "3.5") into seconds. Returns null for empty or unreadable input,
+  // including seconds or minutes past 59 after a colon ("3:75").
+  static parseDuration(value) {
+    const text = String(value ?? "").trim();
+    if (!text) return null;
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+      const parts = text.split(":").map((part) => parseInt(part));
+      if (parts.slice(1).some((part) => part >= 60)) return null;
+      return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    if (!/^\d+(?:[.,]\d+)?$/.test(text)) return null;
+    return Math.round(parseFloat(text.replace(",", ".")) * 60);
+  }
+
+  // Format seconds as m:ss, or h:mm:ss for anything over an hour
+  static formatDuration(totalSeconds) {
+    if (totalSeconds === null || totalSeconds === undefined) return "";
+
+    const rounded = Math.round(totalSeconds);
+    const hours = Math.floor(rounded / 3600);
+    const minutes = Math.floor((rounded % 3600) / 60);
+    const seconds = (rounded % 60).toString().padStart(2, "0");
+
+    if (hours > 0) {
+      return `${hours}:${minutes.toString().padStart(2, "0")}:${seconds}`;
+    }
+    return `${minutes}:${seconds}`;
+  }
+
+  // Convert songs saved with whole-minute durations to seconds
+  static migrateMinuteDurations(songs) {
+    return songs.map((song) =>
+      song.duration ? { ...song, duration: song.duration * 60 } : song
+    );
+  }
+
+  // Generate a short unique identifier for songs, setlists and items
+  static generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  // The database song a setlist item points to, or null
+  static findSong(songs, item) {
+    if (item.type !== "song") return null;
+    return songs.find((s) => s.id === item.songId) || null;
+  }
+
+  // A song's vibe from the configured vibes ({ id, name, color, energy,
+  // closer }), or null when it has none or an unknown one
+  static songVibe(song, vibes = []) {
+    return (song && vibes.find((vibe) => vibe.id === song.vibe)) || null;
+  }
+
+  // Title to show for a song item. Items whose song could not be linked
+  // during the move to ids keep the name they were saved with.
+  static songTitle(item, songs) {
+    const song = SetlistModel.findSong(songs, item);
+    return song ? song.name : item.song || "Unknown song";
+  }
+
+  // Whether data still uses name references from before songs had ids
+  static needsIds(songs, setlists) {
+    return (
+      songs.some((song) => !song.id) ||
+      setlists.some((setlist) => setlist.items.some((item) => !item.id))
+    );
+  }
+
+  // Give songs and setlist items ids and link song items to their song by
+  // name. Anything that already has an id is left alone.
+  static assignIds(songs, setlists) {
+    const songsWithIds = songs.map((song) =>
+      song.id ? song : { ...song, id: SetlistModel.generateId() }
+    );
+
+    return {
+      songs: songsWithIds,
+      setlists: setlists.map((setlist) => ({
+        ...setlist,
+        items: setlist.items.map((item) => {
+          const linked = item.id
+            ? { ...item }
+            : { ...item, id: SetlistModel.generateId() };
+
+          if (item.type === "song" && !item.songId) {
+            const song = songsWithIds.find((s) => s.name === item.song);
+            if (song) {
+              linked.songId = song.id;
+              delete linked.song;
+            }
+          }
+          return linked;
+        }),
+      })),
+    };
+  }
+
+  // Fallback durations in seconds, used until the user configures their own
+  static get defaultDurations() {
+    return {
+      defaultSongDuration: 210,
+      defaultMidshowDuration: 60,
+      songGap: 0, // Pause after each song before the next item
+    };
+  }
+
+  // Running time of one setlist item in seconds. Songs without a duration
+  // and midshows without their own length fall back to the given defaults.
+  static itemDuration(item, songs, defaults = SetlistModel.defaultDurations) {
+    if (item.type === "song") {
+      const song = SetlistModel.findSong(songs, item);
+      return (song && song.duration) || defaults.defaultSongDuration;
+    } else if (item.type === "midshow") {
+      return item.duration || defaults.defaultMidshowDuration;
+    }
+    return 0; // Set boundaries take no time
+  }
+
+  // Whether a song item is marked to run straight into the song after it
+  static seguesIntoNext(items, index) {
+    const next = items[index + 1];
+    return Boolean(
+      items[index].segue &&
+        items[index].type === "song" &&
+        next &&
+        next.type === "song"
+    );
+  }
+
+  // First and last index of the run of segued songs an item belongs to;
+  // both are the item's own index when it isn't part of a segue
+  static segueBlock(items, index) {
+    let start = index;
+    let end = index;
+    while (start > 0 && SetlistModel.seguesIntoNext(items, start - 1)) {
+      start--;
+    }
+    while (SetlistModel.seguesIntoNext(items, end)) {
+      end++;
+    }
+    return { start, end };
+  }
+
+  // Pause after an item: songs are followed by the configured gap, except
+  // when they segue into the next song or end a set
+  static gapAfter(items, index, defaults = SetlistModel.defaultDurations) {
+    const next = items[index + 1];
+    if (items[index].type !== "song" || !next || next.type === "set") return 0;
+    return SetlistModel.seguesIntoNext(items, index)
+      ? 0
+      : defaults.songGap || 0;
+  }
+
+  // Offset in seconds at which each item starts
+  static startTimes(items, songs, defaults) {
+    let elapsed = 0;
+    return items.map((item, index) => {
+      const start = elapsed;
+      elapsed +=
+        SetlistModel.itemDuration(item, songs, defaults) +
+        SetlistModel.gapAfter(items, index, defaults);
+      return start;
+    });
+  }
+
+  static totalDuration(items, songs, defaults) {
+    return items.reduce(
+      (total, item, index) =>
+        total +
+        SetlistModel.itemDuration(item, songs, defaults) +
+        SetlistModel.gapAfter(items, index, defaults),
+      0
+    );
+  }
+
+  // Notes on an item as [{ memberId, text }]: the note for everyone first
+  // (memberId null), then the band members' own. Given a memberId, other
+  // members' notes are left out.
+  static itemNotes(item, memberId = null) {
+    const notes = item.note ? [{ memberId: null, text: item.note }] : [];
+    Object.entries(item.memberNotes || {}).forEach(([id, text]) => {
+      if (text && (!memberId || id === memberId)) {
+        notes.push({ memberId: id, text: text });
+      }
+    });
+    return notes;
+  }
+
+  // Count the songs in a list of setlist items
+  static countSongs(items) {
+    return items.filter((item) => item.type === "song").length;
+  }
+
+  // Parse an "HH:MM" clock time into minutes after midnight
+  static parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+    if (!match) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+  }
+
+  // Seconds between a gig's start time and curfew, or null if either is
+  // missing. A curfew earlier than the start falls after midnight.
+  static slotLength(gig) {
+    const start = SetlistModel.parseClockTime(gig && gig.start);
+    const curfew = SetlistModel.parseClockTime(gig && gig.curfew);
+    if (start === null || curfew === null) return null;
+    return ((curfew - start + 24 * 60) % (24 * 60)) * 60;
+  }
+}
@@ -0,0 +1,131 @@
+// Search, filter and sort for song lists
+class SongFilter {
+  static get defaults() {
+    return {
+      query: "",
+      vibes: [],
+      lengths: [],
+      sort: "added",
+      hideUsed: false,
+      notPlayed: "",
+    };
+  }
+
+  static get sorts() {
+    return {
+      added: "Oldest first",
+      recent: "Recently added",
+      name: "A–Z",
+      duration: "Duration",
+      played: "Most played",
+      lastPlayed: "Longest since played",
+    };
+  }
+
+  // "Not played for" filter choices; songs never played always match
+  static get notPlayedRanges() {
+    return {
+      month: { label: "Not played in a month", days: 30 },
+      quarter: { label: "Not played in 3 months", days: 90 },
+      year: { label: "Not played in a year", days: 365 },
+      never: { label: "Never played", days: Infinity },
+    };
+  }
+
+  // Duration ranges in seconds; max is exclusive
+  static get lengths() {
+    return {
+      short: { label: "Under 3:00", min: 0, max: 180 },
+      medium: { label: "3:00–5:00", min: 180, max: 300 },
+      long: { label: "Over 5:00", min: 300, max: Infinity },
+    };
+  }
+
+  // Score how well a query matches text, lower is better. Substrings win;
+  // otherwise the query's letters must appear in order, and each gap between
+  // them costs a point. Returns null when there is no match.
+  static fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, " ").trim();
+    const haystack = text.toLowerCase();
+    if (!needle) return 0;
+
+    const position = haystack.indexOf(needle);
+    if (position !== -1) return position === 0 ? 0 : 1;
+
+    let gaps = 0;
+    let last = -1;
+    for (const char of needle.replace(/ /g, "")) {
+      const found = haystack.indexOf(char, last + 1);
+      if (found === -1) return null;
+      if (found !== last + 1) gaps++;
+      last = found;
+    }
+    return 2 + gaps;
+  }
+
+  // Filter and sort songs, keeping each song's index in the full list.
+  // context: { playStats: { songId: { count, lastPlayed } }, today,
+  // usedIds: Set }, with dates as "YYYY-MM-DD"
+  static apply(songs, filter, context = {}) {
+    const playStats = context.playStats || {};
+    const usedIds = context.usedIds || new Set();
+    const lengths = this.lengths;
+    const notPlayed = this.notPlayedRanges[filter.notPlayed];
+    const lastPlayed = (song) =>
+      playStats[song.id] ? playStats[song.id].lastPlayed : "";
+    const playCount = (song) =>
+      playStats[song.id] ? playStats[song.id].count : 0;
+
+    const entries = songs
+      .map((song, index) => ({
+        song,
+        index,
+        score: this.fuzzyScore(filter.query || "", song.name),
+      }))
+      .filter(({ song, score }) => {
+        if (score === null) return false;
+        if (filter.vibes.length && !filter.vibes.includes(song.vibe)) {
+          return false;
+        }
+        if (
+          filter.lengths.length &&
+          !filter.lengths.some(
+            (length) =>
+              song.duration &&
+              song.duration >= lengths[length].min &&
+              song.duration < lengths[length].max
+          )
+        ) {
+          return false;
+        }
+        if (
+          notPlayed &&
+          lastPlayed(song) &&
+          PerformanceHistory.daysBetween(lastPlayed(song), context.today) <
+            notPlayed.days
+        ) {
+          return false;
+        }
+        return !(filter.hideUsed && usedIds.has(song.id));
+      });
+
+    const comparators = {
+      added: (a, b) => a.index - b.index,
+      recent: (a, b) => b.index - a.index,
+      name: (a, b) => a.song.name.localeCompare(b.song.name),
+      duration: (a, b) => (a.song.duration || 0) - (b.song.duration || 0),
+      played: (a, b) => playCount(b.song) - playCount(a.song),
+      // Never played comes before everything
+      lastPlayed: (a, b) =>
+        lastPlayed(a.song).localeCompare(lastPlayed(b.song)),
+    };
+    const compare = comparators[filter.sort] || comparators.added;
+
+    // While searching, the best matches come first
+    return entries
+      .sort((a, b) =>
+        filter.query ? a.score - b.score || compare(a, b) : compare(a, b)
+      )
+      .map(({ song, index }) => ({ song, index }));
+  }
+}
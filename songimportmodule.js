@@ -0,0 +1,316 @@
+// Parses song lists from CSV/TSV, plain text and JSON into song objects
+class SongImporter {
+  // Song fields a column can be mapped to, with header names that map to them
+  static get fieldAliases() {
+    return {
+      name: ["name", "title", "song", "song name", "song title", "track"],
+      vibe: ["vibe", "mood", "energy", "feel"],
+      duration: ["duration", "length", "time", "runtime"],
+      key: ["key", "song key"],
+      bpm: ["bpm", "tempo"],
+      tuning: ["tuning"],
+      capo: ["capo"],
+      singer: ["singer", "vocals", "lead vocals", "lead vocalist", "vocalist"],
+      instruments: ["instruments", "instrument changes", "changes"],
+      tags: ["tags", "tag", "labels"],
+      stageTitle: ["stage title", "short title"],
+    };
+  }
+
+  // Guess the format of pasted or loaded text
+  static detectFormat(text, fileName = "") {
+    const extension = fileName.split(".").pop().toLowerCase();
+    if (extension === "json") return "json";
+    if (extension === "csv" || extension === "tsv") return "delimited";
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+
+    // Tab, comma or semicolon separated, as Excel saves CSV in many locales
+    const firstLine = trimmed.split(/\r?\n/)[0] || "";
+    if (
+      firstLine.includes("\t") ||
+      /^[^,]+(,[^,]*)+$/.test(firstLine) ||
+      /^[^;]+(;[^;]*)+$/.test(firstLine)
+    ) {
+      return "delimited";
+    }
+    return "text";
+  }
+
+  // Split CSV/TSV text into rows of cells, honouring quoted fields
+  static parseDelimited(text) {
+    const firstLine = text.split(/\r?\n/)[0] || "";
+    const delimiter = firstLine.includes("\t")
+      ? "\t"
+      : firstLine.split(";").length > firstLine.split(",").length
+      ? ";"
+      : ",";
+
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === "") {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell.trim());
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter((cells) => cells.some((value) => value !== ""));
+  }
+
+  // Map each column to a song field by its header name. Returns the column
+  // fields and whether the first row was a header at all.
+  static guessMapping(firstRow) {
+    const aliases = this.fieldAliases;
+    const columnFields = firstRow.map((header) => {
+      const normalized = header.toLowerCase().trim();
+      return (
+        Object.keys(aliases).find((field) =>
+          aliases[field].includes(normalized)
+        ) || ""
+      );
+    });
+
+    const hasHeader = columnFields.some(Boolean);
+    if (!hasHeader) {
+      // No recognizable header: assume the first column holds the names
+      return {
+        hasHeader: false,
+        columnFields: firstRow.map((_, index) => (index === 0 ? "name" : "")),
+      };
+    }
+    return { hasHeader: true, columnFields };
+  }
+
+  // Build songs from delimited rows using a column-to-field mapping
+  static rowsToSongs(rows, columnFields, knownVibes = []) {
+    return rows
+      .map((cells) => {
+        const values = {};
+        columnFields.forEach((field, index) => {
+          if (field && cells[index] !== undefined && cells[index] !== "") {
+            values[field] = cells[index];
+          }
+        });
+        return this.normalizeSong(values, knownVibes);
+      })
+      .filter(Boolean);
+  }
+
+  // One song per line, optionally numbered and with a duration suffix:
+  // "1. Wonderwall – 4:18", "Hallelujah (4:07)", "Uptown Funk - 4:30"
+  static parseTextList(text) {
+    return text
+      .split(/\r?\n/)
+      .map((line) => line.trim().replace(/^\d+[.)]\s+/, ""))
+      .filter(Boolean)
+      .map((line) => {
+        const match =
+          /^(.*?)(?:\s+[-–—]\s*|\s*\()(\d+(?::\d{1,2}){0,2}(?:[.,]\d+)?)\)?$/.exec(
+            line
+          );
+        if (match && match[1]) {
+          return this.normalizeSong({ name: match[1], duration: match[2] });
+        }
+        return this.normalizeSong({ name: line });
+      })
+      .filter(Boolean);
+  }
+
+  // Accepts a plain song array, or any object carrying a "songs" array
+  // (backups and share payloads)
+  static parseJSON(text, knownVibes = []) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data.songs;
+
+    if (!Array.isArray(list)) {
+      throw new Error("No song list found in this JSON file");
+    }
+
+    return list
+      .map((entry) =>
+        typeof entry === "string"
+          ? this.normalizeSong({ name: entry })
+          : this.normalizeSong(entry || {}, knownVibes)
+      )
+      .filter(Boolean);
+  }
+
+  // Turn loosely typed imported values into a song object. Throws on a
+  // duration that was given but can't be read, rather than dropping it.
+  static normalizeSong(values, knownVibes = []) {
+    const name = String(values.name ?? "").trim();
+    if (!name) return null;
+
+    const duration =
+      typeof values.duration === "number"
+        ? values.duration
+        : SetlistModel.parseDuration(values.duration);
+    if (duration === null && String(values.duration ?? "").trim()) {
+      throw new Error(
+        `"${name}" has a duration that can't be read: "${values.duration}"`
+      );
+    }
+
+    const song = {
+      name: name,
+      vibe: this.normalizeVibe(values.vibe, knownVibes),
+      duration: duration,
+    };
+
+    ["key", "tuning", "singer", "instruments", "stageTitle"].forEach(
+      (field) => {
+        if (values[field]) song[field] = String(values[field]).trim();
+      }
+    );
+    ["bpm", "capo"].forEach((field) => {
+      const number = parseInt(values[field]);
+      if (!isNaN(number)) song[field] = number;
+    });
+    if (values.tags) {
+      song.tags = (
+        Array.isArray(values.tags)
+          ? values.tags
+          : String(values.tags).split(/[,;|]/)
+      )
+        .map((tag) => String(tag).trim())
+        .filter(Boolean);
+    }
+
+    return song;
+  }
+
+  // "High Energy" -> "high-energy", dropping vibes the app doesn't know
+  static normalizeVibe(value, knownVibes = []) {
+    const vibe = String(value ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_]+/g, "-");
+    if (!vibe) return "";
+    return knownVibes.length === 0 || knownVibes.includes(vibe) ? vibe : "";
+  }
+
+  // The existing song an incoming one corresponds to: the same id when it
+  // has one from this database, else the same name (songs from a bandmate's
+  // link or backup carry ids this database has never seen)
+  static matchSong(song, existing) {
+    return (
+      (song.id && existing.find((s) => s.id === song.id)) ||
+      existing.find((s) => s.name === song.name) ||
+      null
+    );
+  }
+
+  // Mark each incoming song as new or a duplicate of an existing one
+  static findDuplicates(incoming, existing) {
+    return incoming.map((song) => ({
+      song: song,
+      existing: this.matchSong(song, existing),
+    }));
+  }
+
+  // Duplicates whose vibe or duration differ from the local song, with the
+  // fields that differ
+  static findConflicts(incoming, existing) {
+    return this.findDuplicates(incoming, existing)
+      .filter((entry) => entry.existing)
+      .map((entry) => ({
+        ...entry,
+        fields: ["vibe", "duration"].filter(
+          (field) =>
+            (entry.song[field] || null) !== (entry.existing[field] || null)
+        ),
+      }))
+      .filter((entry) => entry.fields.length > 0);
+  }
+
+  // Combine imported songs into the database.
+  // mode: "skip" keeps existing songs, "overwrite" replaces them and
+  // "merge" keeps existing values while filling in blanks from the import.
+  // ids[i] is the id incoming[i] ends up with in the database, for
+  // relinking setlist items that came along with the songs.
+  static applyImport(existing, incoming, mode) {
+    const result = existing.map((song) => ({ ...song }));
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    const ids = [];
+
+    incoming.forEach((song) => {
+      // Names only match songs from before the import, never ones it added,
+      // so two arrangements of one title stay two songs
+      const byId = song.id ? result.findIndex((s) => s.id === song.id) : -1;
+      const index =
+        byId !== -1 ? byId : existing.indexOf(this.matchSong(song, existing));
+      const match = index === -1 ? null : result[index];
+
+      if (!match) {
+        const id =
+          song.id && !result.some((s) => s.id === song.id)
+            ? song.id
+            : SetlistModel.generateId();
+        result.push({ ...song, id });
+        ids.push(id);
+        counts.added++;
+        return;
+      }
+
+      if (mode === "overwrite") {
+        result[index] = { ...match, ...song, id: match.id };
+        counts.updated++;
+      } else if (mode === "merge") {
+        result[index] = { ...this.mergeSong(match, song), id: match.id };
+        counts.updated++;
+      } else {
+        counts.skipped++;
+      }
+      ids.push(match.id);
+    });
+
+    return { songs: result, counts, ids };
+  }
+
+  static mergeSong(current, incoming) {
+    const merged = { ...current };
+
+    Object.entries(incoming).forEach(([field, value]) => {
+      if (field === "tags") {
+        merged.tags = [...new Set([...(current.tags || []), ...value])];
+      } else if (
+        merged[field] === undefined ||
+        merged[field] === null ||
+        merged[field] === ""
+      ) {
+        merged[field] = value;
+      }
+    });
+
+    return merged;
+  }
+}